@@ -3,26 +3,44 @@ const path = require('path');
 const bodyParser = require('body-parser');
 const session = require('express-session');
 const bcrypt = require('bcryptjs');
-const pgp = require('pg-promise')();
 const fs = require('fs');
 const multer = require('multer');
 const crypto = require('crypto');
+const os = require('os');
 
 const handlebars = require('express-handlebars');
 const Handlebars = require('handlebars');
+const { db } = require('./services/db');
+const migrations = require('./services/migrations');
 const weatherService = require('./services/weather');
+const geocodeService = require('./services/geocode');
+const imageService = require('./services/images');
+const storageService = require('./services/storage');
+const units = require('./public/js/units');
+const hashtags = require('./public/js/hashtags');
+const { PgSessionStore } = require('./services/sessionStore');
+const mailer = require('./services/mailer');
+const { createRateLimiter, formatRetryAfter } = require('./services/rateLimit');
+const { csrfProtection, getCsrfToken } = require('./services/csrf');
+const { validate, sendValidationErrors, MAX_INT } = require('./services/validation');
+const notificationService = require('./services/notifications');
 
 const app = express();
 
+// Behind a reverse proxy (as on most hosts), set TRUST_PROXY (e.g. "1") so
+// req.ip is the client's address rather than the proxy's; rate limits use it
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 const hbs = handlebars.create({
   extname: 'hbs',
   layoutsDir: __dirname + '/views/layouts',
   partialsDir: __dirname + '/views/partials',
   helpers: {
-    formatDate: function(date) {
-      if (!date) return '';
-      const d = new Date(date);
-      return d.toLocaleDateString() + ' ' + d.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    // Formats in the signed-in user's clock and timezone (see loadPreferences)
+    formatDate: function(date, options) {
+      return units.formatDateTime(date, options.data.root.preferences);
     },
     json: function(context) {
       return JSON.stringify(context);
@@ -30,59 +48,43 @@ const hbs = handlebars.create({
   }
 });
 
-// Database configuration (from environment; docker compose provides these)
-const dbConfig = {
-  host: process.env.POSTGRES_HOST || 'db',
-  port: Number(process.env.POSTGRES_PORT || 5432),
-  database: process.env.POSTGRES_DB || "users_db",
-  user: process.env.POSTGRES_USER || "postgres1",
-  password: process.env.POSTGRES_PASSWORD || "pwd",
-};
-
-const db = pgp(dbConfig);
+// Configure multer for file uploads. Originals wait in a temporary directory
+// until they are processed; the processed sizes go to upload storage
+// (services/storage), so they are never served as-is.
+const uploadTmpDir = path.join(os.tmpdir(), 'we-ather-uploads');
 
-// Configure multer for file uploads
-const uploadsDir = path.join(__dirname, 'uploads');
-
-// Create uploads directory if it doesn't exist
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Create the temporary upload directory if it doesn't exist
+if (!fs.existsSync(uploadTmpDir)) {
+  fs.mkdirSync(uploadTmpDir, { recursive: true });
 }
 
 // Configure multer storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, uploadTmpDir);
   },
   filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-randomstring-originalname
+    // Generate unique filename: timestamp-randomstring
     const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(6).toString('hex');
-    const ext = path.extname(file.originalname);
-    const basename = path.basename(file.originalname, ext);
-    cb(null, `${basename}-${uniqueSuffix}${ext}`);
+    cb(null, uniqueSuffix);
   }
 });
 
-// File filter to only accept images
+// File filter to only accept images. The content is checked again by its magic
+// bytes once uploaded, since the mimetype comes from the client.
 const fileFilter = (req, file, cb) => {
-  // Accept common image file types
   const allowedMimeTypes = [
     'image/jpeg',
     'image/jpg',
     'image/png',
     'image/gif',
-    'image/webp',
-    'image/bmp',
-    'image/tiff',
-    'image/svg+xml',
-    'image/x-icon'
+    'image/webp'
   ];
-  
-  // Also accept any mimetype that starts with 'image/' as a fallback
-  if (file.mimetype.startsWith('image/') || allowedMimeTypes.includes(file.mimetype.toLowerCase())) {
+
+  if (allowedMimeTypes.includes(file.mimetype.toLowerCase())) {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed! Supported formats: JPEG, JPG, PNG, GIF, WebP, BMP, TIFF, SVG, ICO'), false);
+    cb(new Error('Only image files are allowed! Supported formats: JPEG, PNG, GIF, WebP'), false);
   }
 };
 
@@ -95,63 +97,123 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
-// Ensure users table exists
-async function ensureSchema() {
-  await db.none(`
-    CREATE TABLE IF NOT EXISTS users (
-      id SERIAL PRIMARY KEY,
-      username TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
-  await db.none(`
-    CREATE TABLE IF NOT EXISTS locations (
-      id SERIAL PRIMARY KEY,
-      name TEXT UNIQUE NOT NULL
-    );
-  `);
-  await db.none(`
-    CREATE TABLE IF NOT EXISTS user_saved_locations (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-      location_text TEXT NOT NULL
-    );
-  `);
-  await db.none(`
-    CREATE TABLE IF NOT EXISTS posts (
-      id SERIAL PRIMARY KEY,
-      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-      content TEXT,
-      image_filename TEXT,
-      location TEXT,
-      latitude DECIMAL,
-      longitude DECIMAL,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
-  // Add unique constraint if it doesn't exist (for existing tables)
+// Most photos a single post can carry
+const MAX_POST_IMAGES = 4;
+
+// Runs a multer middleware and turns its errors into 400 responses. The
+// uploaded originals are deleted once the response is sent, however the
+// request ends (including when validation rejects it).
+function handleUpload(middleware) {
+  return (req, res, next) => {
+    res.on('close', () => removeUploadedOriginals(req));
+    middleware(req, res, (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError) {
+          if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({ error: 'File size too large. Maximum size is 10MB.' });
+          }
+          if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: `A post can have at most ${MAX_POST_IMAGES} images` });
+          }
+          return res.status(400).json({ error: err.message });
+        }
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  };
+}
+
+const uploadPostImages = handleUpload(upload.array('images', MAX_POST_IMAGES));
+
+/**
+ * Re-encodes uploaded photos into their served sizes, dropping their EXIF metadata.
+ * If any photo fails, the files already written for the others are removed.
+ * @param {Array<Object>} files - Multer files
+ * @returns {Promise<Array<Object>>} Results of imageService.processImage, in upload order
+ */
+async function processPostImages(files) {
+  const processed = [];
   try {
-    await db.none(`
-      DO $$ 
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM pg_constraint 
-          WHERE conname = 'user_saved_locations_user_location_unique'
-        ) THEN
-          ALTER TABLE user_saved_locations 
-          ADD CONSTRAINT user_saved_locations_user_location_unique 
-          UNIQUE(user_id, location_text);
-        END IF;
-      END $$;
-    `);
+    for (const file of files) {
+      processed.push(await imageService.processImage(file.path, file.filename));
+    }
   } catch (error) {
-    console.error('Error adding unique constraint:', error.message);
+    await removeProcessedImages(processed);
+    throw error;
+  }
+  return processed;
+}
+
+// Deletes every stored size of processed images
+async function removeProcessedImages(images) {
+  await storageService.removeObjects(images.flatMap(image => Object.values(image.files)));
+}
+
+// Deletes every stored size of post_images rows
+async function removeStoredImages(images) {
+  await storageService.removeObjects(images.flatMap(image => [image.filename, image.thumb_filename]));
+}
+
+// Deletes the original uploads of a request; only the processed sizes are kept
+function removeUploadedOriginals(req) {
+  (req.files || []).forEach(file => {
+    fs.unlink(file.path, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Error deleting uploaded file:', error);
+      }
+    });
+  });
+}
+
+// SQL select column with a post's images in display order
+const POST_IMAGES_COLUMN = `
+  (SELECT COALESCE(json_agg(json_build_object(
+      'id', pi.id, 'filename', pi.filename, 'thumb_filename', pi.thumb_filename, 'position', pi.position
+    ) ORDER BY pi.position), '[]')
+    FROM post_images pi WHERE pi.post_id = p.id
+  ) AS images
+`;
+
+// A post's images in display order
+async function getPostImages(postId) {
+  return db.any(`
+    SELECT id, filename, thumb_filename, position
+    FROM post_images
+    WHERE post_id = $1
+    ORDER BY position
+  `, [postId]);
+}
+
+// Appends processed images to a post after its existing ones
+async function insertPostImages(t, postId, images) {
+  const { count } = await t.one('SELECT COUNT(*)::int AS count FROM post_images WHERE post_id = $1', [postId]);
+  for (const [index, image] of images.entries()) {
+    await t.none(`
+      INSERT INTO post_images (post_id, filename, thumb_filename, position)
+      VALUES ($1, $2, $3, $4)
+    `, [postId, image.files.display, image.files.thumb, count + index]);
   }
-  // const sampleLocations = ['Boulder', 'Boston', 'Boise', 'Baltimore'];
-  // for (const loc of sampleLocations) {
-  //   await db.none('INSERT INTO locations(name) VALUES($1) ON CONFLICT DO NOTHING', [loc]);
-  // }
+}
+
+// SQL select column with a post's hashtags, alphabetically
+const POST_TAGS_COLUMN = `
+  (SELECT COALESCE(json_agg(t.name ORDER BY t.name), '[]')
+    FROM post_tags pt JOIN tags t ON t.id = pt.tag_id
+    WHERE pt.post_id = p.id
+  ) AS tags
+`;
+
+// Replaces a post's tags with the hashtags in its content
+async function setPostTags(t, postId, content) {
+  const names = hashtags.parseHashtags(content);
+  await t.none('DELETE FROM post_tags WHERE post_id = $1', [postId]);
+  if (names.length === 0) return;
+  await t.none('INSERT INTO tags (name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING', [names]);
+  await t.none(`
+    INSERT INTO post_tags (post_id, tag_id)
+    SELECT $1, id FROM tags WHERE name = ANY($2::text[])
+  `, [postId, names]);
 }
 
 // Register `hbs` as our view engine using its bound `engine()` function.
@@ -164,8 +226,12 @@ app.use(bodyParser.json()); // specify the usage of JSON for parsing request bod
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Sessions live in Postgres, so they survive restarts and users can revoke them
+const sessionStore = new PgSessionStore(db);
+
 app.use(
   session({
+    store: sessionStore,
     secret: process.env.SESSION_SECRET || 'dev-secret',
     saveUninitialized: false,
     resave: false,
@@ -179,6 +245,32 @@ app.use(
   })
 );
 
+// Form pages that post back to themselves, shown again when their CSRF token
+// is stale (e.g. the page was left open until the session expired)
+const CSRF_FORM_VIEWS = {
+  login: 'pages/login',
+  register: 'pages/register',
+  'forgot-password': 'pages/forgotPassword',
+  'reset-password': 'pages/resetPassword'
+};
+
+function rejectCsrf(req, res) {
+  if (req.path.startsWith('/api/')) {
+    return res.status(403).json({ error: 'Invalid CSRF token' });
+  }
+  const [, page, token] = req.path.split('/');
+  res.status(403).render(CSRF_FORM_VIEWS[page] || 'pages/login', {
+    layout: 'main',
+    token,
+    message: 'Your session expired. Please try again.',
+    error: true
+  });
+}
+
+// State-changing requests must carry the session's CSRF token: forms send it as
+// a hidden _csrf field, and public/js/csrf.js adds it to page scripts' fetches
+app.use(csrfProtection({ onInvalid: rejectCsrf }));
+
 // Simple auth guard
 const auth = (req, res, next) => {
   if (!req.session.user) {
@@ -191,11 +283,139 @@ const auth = (req, res, next) => {
   next();
 };
 
+// Roles in increasing order of what they may do
+const ROLES = ['user', 'moderator', 'admin'];
+// Badges shown on the profiles of staff
+const ROLE_LABELS = { moderator: 'Moderator', admin: 'Admin' };
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Creates a guard (used after auth) letting through only users with at least
+ * the given role. The role is read from the database on each request, so a
+ * demotion or suspension takes effect straight away.
+ * @param {string} role - 'moderator' or 'admin'
+ * @returns {Function} Middleware
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const user = await db.oneOrNone('SELECT role, suspended_at FROM users WHERE id = $1', [req.session.user.id]);
+      if (user && !user.suspended_at && hasRole(user, role)) {
+        // Keeps the nav's moderation link in step with the current role
+        req.session.user.role = user.role;
+        return next();
+      }
+      const message = role === 'admin' ? 'Admin access required' : 'Moderator access required';
+      if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ error: message });
+      }
+      res.status(403).render('pages/moderation', {
+        layout: 'main',
+        username: req.session.user.username,
+        message: `${message}.`,
+        error: true
+      });
+    } catch (error) {
+      console.error('Error checking role:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+}
+
+// SQL condition for the posts the user in userParam can see: hidden posts
+// only show to their author (moderators find them in the moderation queue)
+function visiblePostSql(userParam) {
+  return `(p.hidden_at IS NULL OR p.user_id = ${userParam})`;
+}
+
+// Looks up a post the user can see, or null
+async function findVisiblePost(postId, userId) {
+  return db.oneOrNone(`SELECT p.id, p.user_id FROM posts p WHERE p.id = $1 AND ${visiblePostSql('$2')}`, [postId, userId]);
+}
+
 // Static views directory for HTML pages
 const viewsDir = path.join(__dirname, 'views');
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(uploadsDir));
+// Browser scripts shared with the server, such as public/js/units.js
+app.use('/js', express.static(path.join(__dirname, 'public', 'js')));
+
+/**
+ * Returns a user's display preferences, with the defaults for anything unset
+ * @param {number} userId - User id
+ * @returns {Promise<Object>} { temperature_unit, wind_unit, time_format, timezone, default_location }
+ */
+async function getPreferences(userId) {
+  const row = await db.oneOrNone(`
+    SELECT up.temperature_unit, up.wind_unit, up.time_format, up.timezone,
+      sl.location_text AS default_location
+    FROM user_preferences up
+    LEFT JOIN user_saved_locations sl ON sl.id = up.default_location_id
+    WHERE up.user_id = $1
+  `, [userId]);
+  return { ...units.DEFAULT_PREFERENCES, ...row };
+}
+
+// The request's preferred language, so server-rendered dates match the browser's
+function requestLocale(req) {
+  const [language] = req.acceptsLanguages();
+  if (!language || language === '*') return undefined;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(language)[0];
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Make the signed-in user's preferences available to rendered pages (the
+// formatDate helper and the main layout, which hands them to browser scripts)
+async function loadPreferences(req, res, next) {
+  if (!req.session.user || req.path.startsWith('/api/')) {
+    return next();
+  }
+  try {
+    res.locals.preferences = await getPreferences(req.session.user.id);
+  } catch (error) {
+    console.error('Error loading preferences:', error);
+    res.locals.preferences = { ...units.DEFAULT_PREFERENCES };
+  }
+  res.locals.preferences.locale = requestLocale(req);
+  // Shows the nav's notification bell and moderation link
+  res.locals.signedIn = true;
+  res.locals.canModerate = hasRole(req.session.user, 'moderator');
+  next();
+}
+
+// Serve uploaded images from upload storage. Keys are never reused, so the
+// images can be cached indefinitely.
+app.get('/uploads/:key', async (req, res) => {
+  try {
+    const object = await storageService.getObject(req.params.key);
+    if (!object) {
+      return res.status(404).send('Not found');
+    }
+    res.set({
+      'Content-Type': object.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (object.contentLength !== undefined) {
+      res.set('Content-Length', String(object.contentLength));
+    }
+    object.body.on('error', (error) => {
+      console.error('Error streaming upload:', error);
+      res.destroy(error);
+    });
+    object.body.pipe(res);
+  } catch (error) {
+    console.error('Error serving upload:', error);
+    res.status(500).send('Failed to load image');
+  }
+});
+
+app.use(loadPreferences);
 
 // Routes
 app.get('/', (req, res) => {
@@ -206,6 +426,126 @@ app.get('/welcome', (req, res) => {
   res.json({status: 'success', message: 'Welcome!'});
 });
 
+// The session's CSRF token, for clients that don't load a page first
+app.get('/api/csrf-token', (req, res) => {
+  res.json({ csrfToken: getCsrfToken(req) });
+});
+
+// Failed logins allowed per IP address, whatever usernames they try
+const loginFailuresByIp = createRateLimiter({
+  windowMs: Number(process.env.LOGIN_IP_WINDOW_MS || 15 * 60 * 1000), // 15 minutes
+  max: Number(process.env.LOGIN_IP_MAX_FAILURES || 20)
+});
+
+// New accounts allowed per IP address
+const registrationLimiter = createRateLimiter({
+  windowMs: Number(process.env.REGISTER_RATE_WINDOW_MS || 60 * 60 * 1000), // 1 hour
+  max: Number(process.env.REGISTER_RATE_MAX || 30)
+});
+
+// Password reset requests allowed per IP address, and per username or email
+// address so nobody can flood someone's inbox (or keep replacing their link)
+const passwordResetByIp = createRateLimiter({
+  windowMs: Number(process.env.RESET_RATE_WINDOW_MS || 60 * 60 * 1000), // 1 hour
+  max: Number(process.env.RESET_RATE_MAX || 10)
+});
+const passwordResetByIdentifier = createRateLimiter({
+  windowMs: Number(process.env.RESET_RATE_WINDOW_MS || 60 * 60 * 1000), // 1 hour
+  max: Number(process.env.RESET_IDENTIFIER_RATE_MAX || 3)
+});
+
+// New posts allowed per user, to slow down spam
+const postLimiter = createRateLimiter({
+  windowMs: Number(process.env.POST_RATE_WINDOW_MS || 60 * 1000), // 1 minute
+  max: Number(process.env.POST_RATE_MAX || 10)
+});
+
+// A username is locked after this many failures in a row; each further failure
+// doubles the lock, from LOGIN_LOCKOUT_BASE_MS up to LOGIN_LOCKOUT_MAX_MS
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const LOGIN_LOCKOUT_BASE_MS = Number(process.env.LOGIN_LOCKOUT_BASE_MS || 60 * 1000); // 1 minute
+const LOGIN_LOCKOUT_MAX_MS = Number(process.env.LOGIN_LOCKOUT_MAX_MS || 60 * 60 * 1000); // 1 hour
+
+// Compared against when the username doesn't exist, so unknown usernames take
+// as long to reject as wrong passwords
+const UNKNOWN_USER_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Advisory lock class for serializing sign-in attempts per username
+const LOGIN_ATTEMPT_LOCK_CLASS = 3309;
+
+// Records a sign-in attempt in the login_attempts audit table
+async function recordLoginAttempt(req, username, userId, outcome) {
+  try {
+    await db.none(`
+      INSERT INTO login_attempts (username, user_id, outcome, ip, user_agent)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [username, userId, outcome, req.ip, req.get('User-Agent') || null]);
+  } catch (error) {
+    console.error('Error recording login attempt:', error);
+  }
+}
+
+/**
+ * Works out whether a username is locked out. Failures count from the last
+ * successful login or password reset, and only within the last day.
+ * @param {string} username - Username being signed in to
+ * @param {Object} t - pg-promise database or transaction (default: db)
+ * @returns {Promise<Object>} { failures, lockedForMs } where lockedForMs is 0 when not locked
+ */
+async function getLoginLockout(username, t = db) {
+  const { failures, last_failure } = await t.one(`
+    SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure
+    FROM login_attempts
+    WHERE username = $1
+      AND outcome IN ('invalid_password', 'unknown_user')
+      AND created_at > NOW() - INTERVAL '1 day'
+      AND created_at > COALESCE((
+        SELECT MAX(created_at) FROM login_attempts
+        WHERE username = $1 AND outcome IN ('success', 'password_reset')
+      ), '-infinity')
+  `, [username]);
+
+  if (failures < LOGIN_LOCKOUT_THRESHOLD) {
+    return { failures, lockedForMs: 0 };
+  }
+  const lockMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_MS);
+  return { failures, lockedForMs: Math.max(0, new Date(last_failure).getTime() + lockMs - Date.now()) };
+}
+
+/**
+ * Starts a sign-in attempt before the password is checked. Unless the username
+ * is locked, the attempt is recorded as a failure right away (and corrected by
+ * finishLoginAttempt if the password matches), so concurrent guesses each
+ * count towards the lockout of the ones after them.
+ * @param {Object} req - Request, for the IP and user agent
+ * @param {string} username - Username being signed in to
+ * @param {Object|null} user - The user with that username, if any
+ * @returns {Promise<Object>} { attemptId, lockedForMs } where attemptId is null when locked
+ */
+async function startLoginAttempt(req, username, user) {
+  return db.tx(async t => {
+    // Attempts at the same username wait for each other until committed
+    await t.one('SELECT pg_advisory_xact_lock($1, hashtext($2))', [LOGIN_ATTEMPT_LOCK_CLASS, username]);
+    const { lockedForMs } = await getLoginLockout(username, t);
+    const outcome = lockedForMs > 0 ? 'locked' : user ? 'invalid_password' : 'unknown_user';
+    const { id } = await t.one(`
+      INSERT INTO login_attempts (username, user_id, outcome, ip, user_agent)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [username, lockedForMs > 0 ? null : user && user.id, outcome, req.ip, req.get('User-Agent') || null]);
+    return { attemptId: lockedForMs > 0 ? null : id, lockedForMs };
+  });
+}
+
+// Corrects the outcome of an attempt started by startLoginAttempt once the password matched
+async function finishLoginAttempt(attemptId, outcome) {
+  await db.none('UPDATE login_attempts SET outcome = $2 WHERE id = $1', [attemptId, outcome]);
+}
+
+function renderLoginError(res, status, message) {
+  return res.status(status).render('pages/login', { layout: 'main', message, error: true });
+}
+
 app.get('/login', (req, res) => {
   // If user is already logged in, redirect to home
   if (req.session.user) {
@@ -215,27 +555,80 @@ app.get('/login', (req, res) => {
 });
 
 app.post('/login', async (req, res) => {
+    const username = typeof req.body.username === 'string' ? req.body.username : '';
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    if (!username || !password) {
+        return renderLoginError(res, 400, 'Enter your username and password.');
+    }
+
+    // Count the attempt as a failure from this IP before the password is checked,
+    // so concurrent guesses can't all get past the limit. It is taken back
+    // unless the password turns out to be wrong.
+    const ipLimit = loginFailuresByIp.hit(req.ip);
+    if (ipLimit.limited) {
+        loginFailuresByIp.undo(req.ip);
+        await recordLoginAttempt(req, username, null, 'rate_limited');
+        res.set('Retry-After', String(Math.ceil(ipLimit.retryAfterMs / 1000)));
+        return renderLoginError(res, 429, `Too many failed logins from your network. Try again in ${formatRetryAfter(ipLimit.retryAfterMs)}.`);
+    }
+
     const query = 'SELECT * FROM users WHERE username = $1';
+    let wrongPassword = false;
     try {
-        const user = await db.one(query, [req.body.username]);
-        const match = await bcrypt.compare(req.body.password, user.password);
-        if (match) {
-            req.session.user = user;
-            // Save session and then redirect
-            req.session.save((err) => {
+        const user = await db.oneOrNone(query, [username]);
+        const attempt = await startLoginAttempt(req, username, user);
+        if (attempt.lockedForMs > 0) {
+            res.set('Retry-After', String(Math.ceil(attempt.lockedForMs / 1000)));
+            return renderLoginError(res, 429, `This account is locked after too many failed logins. Try again in ${formatRetryAfter(attempt.lockedForMs)}, or reset your password.`);
+        }
+
+        const match = await bcrypt.compare(password, user ? user.password : UNKNOWN_USER_HASH);
+        // Only someone who knows the password learns the account is suspended
+        if (user && match && user.suspended_at) {
+            await finishLoginAttempt(attempt.attemptId, 'suspended');
+            return renderLoginError(res, 403, 'This account has been suspended.');
+        }
+        if (user && match) {
+            await finishLoginAttempt(attempt.attemptId, 'success');
+            // Start a fresh session so a session id set before login can't be reused
+            req.session.regenerate((err) => {
                 if (err) {
-                    console.error('Error saving session:', err);
+                    console.error('Error regenerating session:', err);
                     return res.status(500).render('pages/login', { layout: 'main', message: 'Error logging in. Please try again.', error: true });
                 }
-                return res.redirect('/home');
+                // Never keep the password hash in the stored session
+                req.session.user = { id: user.id, username: user.username, role: user.role };
+                // Shown in the session list in settings
+                req.session.userAgent = req.get('User-Agent') || null;
+                req.session.ip = req.ip;
+                // Save session and then redirect
+                req.session.save((err) => {
+                    if (err) {
+                        console.error('Error saving session:', err);
+                        return res.status(500).render('pages/login', { layout: 'main', message: 'Error logging in. Please try again.', error: true });
+                    }
+                    return res.redirect('/home');
+                });
             });
             return;
         }
-        return res.status(401).render('pages/login', { layout: 'main', message: 'Invalid username or password.', error: true });
+
+        wrongPassword = true;
+        const { lockedForMs } = await getLoginLockout(username);
+        if (lockedForMs > 0) {
+            res.set('Retry-After', String(Math.ceil(lockedForMs / 1000)));
+            return renderLoginError(res, 429, `Invalid username or password. The account is now locked for ${formatRetryAfter(lockedForMs)}.`);
+        }
+        return renderLoginError(res, 401, 'Invalid username or password.');
     } 
     catch (error) {
         console.error('Error fetching user:', error); 
-        return res.status(500).redirect('/register');
+        return renderLoginError(res, 500, 'Error logging in. Please try again.');
+    }
+    finally {
+        if (!wrongPassword) {
+            loginFailuresByIp.undo(req.ip);
+        }
     }
 });
 
@@ -247,15 +640,26 @@ app.get('/register', (req, res) => {
   res.render('pages/register', { layout: 'main' });
 });
 
-app.post('/register', async (req, res) => {
-  if (!req.body.username || !req.body.password || req.body.username.trim() === '' || req.body.password.trim() === '') {
-    return res.status(400).json({ message: 'Invalid input' });
+app.post('/register', registrationLimiter.middleware({
+  onLimited: (req, res, retryAfterMs) => res.status(429).render('pages/register', {
+    layout: 'main',
+    message: `Too many new accounts from your network. Try again in ${formatRetryAfter(retryAfterMs)}.`,
+    error: true
+  })
+}), validate({
+  body: {
+    username: { required: true },
+    password: { required: true },
+    // The email address is optional; without one the password can't be reset
+    email: { trim: true, check: email => isValidEmail(email) ? null : 'Enter a valid email address' }
   }
+}), async (req, res) => {
+  const email = req.body.email || null;
 
   const hash = await bcrypt.hash(req.body.password, 10);
-    const insertQuery = 'INSERT INTO users (username, password) VALUES ($1, $2)';
+    const insertQuery = 'INSERT INTO users (username, password, email) VALUES ($1, $2, $3)';
     try {
-      await db.none(insertQuery, [req.body.username, hash])
+      await db.none(insertQuery, [req.body.username, hash, email])
       return res.status(200).redirect('/login');
     } 
     catch (error) {
@@ -264,19 +668,189 @@ app.post('/register', async (req, res) => {
     }
 });
 
+// Password reset links stay valid this long
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Deliberately loose: the reset email itself is the real check
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Reset tokens are stored as SHA-256 hashes, never as the token itself
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Links in emails point at APP_URL rather than the request's Host header, which
+// a client could set to a site of its own
+function appUrl() {
+  return (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+// Emails a password reset link
+function sendPasswordResetEmail(user, link) {
+  return mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your We-ather password',
+    text: `Hi ${user.username},\n\n` +
+      'Someone asked to reset the password of your We-ather account. ' +
+      `To choose a new password, open this link within ${RESET_TOKEN_TTL_MS / 60000} minutes:\n\n` +
+      `${link}\n\n` +
+      "If that wasn't you, you can ignore this email and your password stays the same.\n"
+  });
+}
+
+// Finds a reset token that is unused and unexpired
+async function findResetToken(token) {
+  return db.oneOrNone(`
+    SELECT id, user_id FROM password_reset_tokens
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+  `, [hashResetToken(token)]);
+}
+
+const RESET_LINK_INVALID = 'This reset link is invalid or has expired. Please request a new one.';
+
+app.get('/forgot-password', (req, res) => {
+  res.render('pages/forgotPassword', { layout: 'main' });
+});
+
+// Emails a reset link to the account matching a username or email. The response
+// is the same whether or not there is such an account, and the email is sent
+// in the background so the response time doesn't give it away either.
+function renderResetRateLimited(res, retryAfterMs) {
+  res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(429).render('pages/forgotPassword', {
+    layout: 'main',
+    message: `Too many password reset requests. Try again in ${formatRetryAfter(retryAfterMs)}.`,
+    error: true
+  });
+}
+
+app.post('/forgot-password', passwordResetByIp.middleware({
+  onLimited: (req, res, retryAfterMs) => renderResetRateLimited(res, retryAfterMs)
+}), validate({
+  // A username or an email address (at most 254 characters)
+  body: { identifier: { required: true, trim: true, maxLength: 254 } }
+}, {
+  onInvalid: (req, res) => res.status(400).render('pages/forgotPassword', {
+    layout: 'main',
+    message: 'Enter your username or email address.',
+    error: true
+  })
+}), async (req, res) => {
+  const { identifier } = req.body;
+  try {
+    const identifierLimit = passwordResetByIdentifier.hit(identifier.toLowerCase());
+    if (identifierLimit.limited) {
+      return renderResetRateLimited(res, identifierLimit.retryAfterMs);
+    }
+
+    const user = await db.oneOrNone(`
+      SELECT id, username, email FROM users
+      WHERE (username = $1 OR LOWER(email) = LOWER($1)) AND email IS NOT NULL
+      ORDER BY username = $1 DESC
+      LIMIT 1
+    `, [identifier]);
+
+    if (user) {
+      const token = crypto.randomBytes(32).toString('hex');
+      await db.tx(async t => {
+        // Only the newest link works
+        await t.none('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [user.id]);
+        await t.none(
+          'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+          [user.id, hashResetToken(token), new Date(Date.now() + RESET_TOKEN_TTL_MS)]
+        );
+      });
+      sendPasswordResetEmail(user, `${appUrl()}/reset-password/${token}`)
+        .catch(error => console.error('Error sending password reset email:', error));
+    }
+
+    res.render('pages/forgotPassword', {
+      layout: 'main',
+      message: 'If that account has an email address, a reset link is on its way.',
+      error: false
+    });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).render('pages/forgotPassword', { layout: 'main', message: 'Could not send a reset link. Please try again.', error: true });
+  }
+});
+
+app.get('/reset-password/:token', async (req, res) => {
+  try {
+    if (!(await findResetToken(req.params.token))) {
+      return res.status(400).render('pages/resetPassword', { layout: 'main', message: RESET_LINK_INVALID, error: true, invalid: true });
+    }
+    res.render('pages/resetPassword', { layout: 'main', token: req.params.token });
+  } catch (error) {
+    console.error('Error checking password reset token:', error);
+    res.status(500).render('pages/resetPassword', { layout: 'main', message: 'Something went wrong. Please try again.', error: true, invalid: true });
+  }
+});
+
+// Sets a new password with a reset token. The token is used up in the same
+// transaction, so it works only once, and every session of the user is signed out.
+function renderResetPasswordError(res, token, message) {
+  return res.status(400).render('pages/resetPassword', { layout: 'main', token, message, error: true });
+}
+
+app.post('/reset-password/:token', validate({
+  body: { password: { required: true }, confirm_password: { required: true } }
+}, {
+  onInvalid: (req, res, errors) => renderResetPasswordError(
+    res,
+    req.params.token,
+    errors[0].field === 'password' ? 'Enter a new password.' : 'Passwords do not match.'
+  )
+}), async (req, res) => {
+  const { token } = req.params;
+  const { password, confirm_password } = req.body;
+  try {
+    if (password !== confirm_password) {
+      return renderResetPasswordError(res, token, 'Passwords do not match.');
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    const reset = await db.tx(async t => {
+      const row = await t.oneOrNone(`
+        UPDATE password_reset_tokens SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id
+      `, [hashResetToken(token)]);
+      if (!row) return null;
+      await t.none('UPDATE users SET password = $1 WHERE id = $2', [hash, row.user_id]);
+      return row;
+    });
+    if (!reset) {
+      return res.status(400).render('pages/resetPassword', { layout: 'main', message: RESET_LINK_INVALID, error: true, invalid: true });
+    }
+
+    await sessionStore.destroyAllForUser(reset.user_id);
+    // Lifts any login lockout on the account
+    const { username } = await db.one('SELECT username FROM users WHERE id = $1', [reset.user_id]);
+    await recordLoginAttempt(req, username, reset.user_id, 'password_reset');
+    res.render('pages/login', { layout: 'main', message: 'Your password has been reset. Please log in.', error: false });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).render('pages/resetPassword', { layout: 'main', token, message: 'Could not reset your password. Please try again.', error: true });
+  }
+});
+
 app.get('/home', auth, async (req, res) => {
   try {
     const posts = await db.any(`
-      SELECT p.*, u.username 
+      SELECT p.*, u.username, ${reactionColumns('$1')}, ${POST_IMAGES_COLUMN}
       FROM posts p 
       JOIN users u ON p.user_id = u.id 
+      WHERE ${visiblePostSql('$1')}
       ORDER BY p.created_at DESC 
       LIMIT 50
-    `);
+    `, [req.session.user.id]);
     res.render('pages/home', {
       layout: 'main',
       username: req.session.user.username,
-      posts: posts,
+      posts: posts.map(withReactions),
     });
   } catch (error) {
     console.error('Error fetching posts:', error);
@@ -295,10 +869,42 @@ app.get('/posts', auth, (req, res) => {
   });
 });
 
+app.get('/map', auth, (req, res) => {
+  res.render('pages/map', {
+    layout: 'main',
+    username: req.session.user.username
+  });
+});
+
+app.get('/settings', auth, async (req, res) => {
+  try {
+    const savedLocations = await db.any(
+      'SELECT location_text FROM user_saved_locations WHERE user_id = $1 ORDER BY location_text',
+      [req.session.user.id]
+    );
+    const { email } = await db.one('SELECT email FROM users WHERE id = $1', [req.session.user.id]);
+    res.render('pages/settings', {
+      layout: 'main',
+      username: req.session.user.username,
+      email,
+      savedLocations: savedLocations.map(loc => loc.location_text)
+    });
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    res.status(500).render('pages/settings', {
+      layout: 'main',
+      username: req.session.user.username,
+      savedLocations: [],
+      message: 'Error loading settings. Please try again.',
+      error: true
+    });
+  }
+});
+
 app.get('/profile', auth, async (req, res) => {
   try {
     const posts = await db.any(`
-      SELECT p.*, u.username 
+      SELECT p.*, u.username, ${POST_IMAGES_COLUMN}
       FROM posts p 
       JOIN users u ON p.user_id = u.id 
       WHERE p.user_id = $1
@@ -312,6 +918,7 @@ app.get('/profile', auth, async (req, res) => {
     res.render('pages/profile', {
       layout: 'main',
       username: req.session.user.username,
+      userId: req.session.user.id,
       posts: postsWithDelete
     });
   } catch (error) {
@@ -319,27 +926,143 @@ app.get('/profile', auth, async (req, res) => {
     res.render('pages/profile', {
       layout: 'main',
       username: req.session.user.username,
+      userId: req.session.user.id,
       posts: []
     });
   }
 });
 
+// Public profile with stats, never including the password hash
+async function getUserProfile(username, currentUserId) {
+  return db.oneOrNone(`
+    SELECT u.id, u.username, u.role, u.created_at,
+      (SELECT COUNT(*) FROM posts p WHERE p.user_id = u.id AND ${visiblePostSql('$2')})::int AS post_count,
+      (SELECT COUNT(*) FROM follows WHERE following_id = u.id)::int AS follower_count,
+      (SELECT COUNT(*) FROM follows WHERE follower_id = u.id)::int AS following_count,
+      EXISTS(SELECT 1 FROM follows WHERE follower_id = $2 AND following_id = u.id) AS is_following
+    FROM users u
+    WHERE u.username = $1
+  `, [username, currentUserId]);
+}
+
+app.get('/users/:username', auth, async (req, res) => {
+  try {
+    const profileUser = await getUserProfile(req.params.username, req.session.user.id);
+    if (!profileUser) {
+      return res.status(404).render('pages/user', {
+        layout: 'main',
+        username: req.session.user.username,
+        message: 'User not found.',
+        error: true
+      });
+    }
+    // Moderators get controls to suspend the user, when they outrank them
+    const isSelf = profileUser.id === req.session.user.id;
+    let moderation = null;
+    if (!isSelf && ROLES.indexOf(profileUser.role) < ROLES.indexOf(req.session.user.role) && hasRole(req.session.user, 'moderator')) {
+      moderation = await db.one('SELECT suspended_at, suspension_reason FROM users WHERE id = $1', [profileUser.id]);
+    }
+    res.render('pages/user', {
+      layout: 'main',
+      username: req.session.user.username,
+      profileUser: profileUser,
+      isSelf,
+      moderation,
+      canChangeRole: !isSelf && hasRole(req.session.user, 'admin'),
+      roleLabel: ROLE_LABELS[profileUser.role],
+      feedUserId: profileUser.id,
+      feedTitle: `${profileUser.username}'s Posts`
+    });
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    res.status(500).render('pages/user', {
+      layout: 'main',
+      username: req.session.user.username,
+      message: 'Error loading profile. Please try again.',
+      error: true
+    });
+  }
+});
+
+// Moderation queue; reports, hidden posts and the audit log come from /api/moderation
+app.get('/moderation', auth, requireRole('moderator'), (req, res) => {
+  res.render('pages/moderation', {
+    layout: 'main',
+    username: req.session.user.username,
+    isAdmin: hasRole(req.session.user, 'admin')
+  });
+});
+
+// Feed of the posts with a hashtag; the posts come from /api/posts?tag=
+app.get('/tags/:tag', auth, (req, res) => {
+  const tag = hashtags.normalizeTag(req.params.tag);
+  if (!tag) {
+    return res.status(404).render('pages/tag', {
+      layout: 'main',
+      username: req.session.user.username,
+      message: 'That is not a valid hashtag.',
+      error: true
+    });
+  }
+  res.render('pages/tag', {
+    layout: 'main',
+    username: req.session.user.username,
+    tag,
+    feedTag: tag,
+    feedTitle: `#${tag}`
+  });
+});
+
+// Search results page; the results themselves come from /api/search
+app.get('/search', auth, (req, res) => {
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  res.render('pages/search', {
+    layout: 'main',
+    username: req.session.user.username,
+    searchQuery: text(req.query.q),
+    searchAuthor: text(req.query.author),
+    searchFrom: text(req.query.from),
+    searchTo: text(req.query.to)
+  });
+});
+
 app.get('/logout', async (req, res) => {
     req.session.destroy()
     res.render('pages/logout', {layout: 'main', message: 'Logged out Successfully', error:false})
 })
 
+// Rules shared by the request schemas (see services/validation)
+const LATITUDE = { type: 'number', min: -90, max: 90 };
+const LONGITUDE = { type: 'number', min: -180, max: 180 };
+const COORDINATES_QUERY = {
+  lat: { ...LATITUDE, required: true },
+  lon: { ...LONGITUDE, required: true }
+};
+
+// A numeric id in the URL, e.g. idParam('post') for /api/posts/:id
+function idParam(name) {
+  return { type: 'int', required: true, min: 1, max: MAX_INT, message: `Invalid ${name} id` };
+}
+
+// Longest free text accepted from clients
+const MAX_POST_LENGTH = 5000;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_LOCATION_LENGTH = 200;
+
 // Weather API route (protected by auth)
-app.get('/api/weather', auth, async (req, res) => {
+app.get('/api/weather', auth, validate({ query: COORDINATES_QUERY }), async (req, res) => {
   const { lat, lon } = req.query;
-  
-  if (!lat || !lon) {
-    return res.status(400).json({ error: 'Latitude and longitude are required' });
-  }
-  
+
   try {
-    const weatherData = await weatherService.getWeatherData(parseFloat(lat), parseFloat(lon));
-    res.json(weatherData);
+    const { weather, cached, updatedAt, expiresAt } = await weatherService.getWeatherDataWithCacheInfo(lat, lon);
+    // Let the client know how old the (possibly cached) forecast is
+    res.set({
+      'Age': String(Math.max(0, Math.floor((Date.now() - updatedAt.getTime()) / 1000))),
+      'Expires': expiresAt.toUTCString(),
+      'Last-Modified': updatedAt.toUTCString(),
+      'X-Cache': cached ? 'HIT' : 'MISS'
+    });
+    res.json(weather);
   } catch (error) {
     console.error('Error fetching weather:', error.message);
     console.error('Stack:', error.stack);
@@ -350,71 +1073,255 @@ app.get('/api/weather', auth, async (req, res) => {
   }
 });
 
-//autocomplete location names route (protected by auth)
-app.get('/api/locations', auth, async (req, res) => {
-  const { query } = req.query;
+// Converts a locations row into the place shape returned by the geocode service
+function locationRowToPlace(row) {
+  return {
+    name: row.name,
+    city: row.city,
+    state: row.state,
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude)
+  };
+}
+
+// Persist a geocoded place so later lookups can be served from the database
+async function saveGeocodedLocation(place) {
+  await db.none(`
+    INSERT INTO locations (name, city, state, latitude, longitude)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (name) DO UPDATE
+      SET city = EXCLUDED.city, state = EXCLUDED.state,
+          latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude
+  `, [place.name, place.city, place.state, place.latitude, place.longitude]);
+}
 
-  if (!query) {
-    return res.status(400).json({ error: 'Query parameter is required' });
+// Escapes LIKE/ILIKE wildcards so user text only matches literally
+function escapeLikePattern(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+// Look up places matching a query. Answers from the locations table when it
+// already knows the exact place, otherwise asks the geocoder and stores what it
+// finds. Stored places starting with the query only fill up the results, so
+// "Boulder" isn't answered with "Boulder City, NV".
+async function lookupPlaces(query, limit) {
+  const stored = await db.any(`
+    SELECT name, city, state, latitude, longitude
+    FROM locations
+    WHERE name ILIKE $1 AND latitude IS NOT NULL AND longitude IS NOT NULL
+    ORDER BY LOWER(name) = LOWER($2) DESC, name
+    LIMIT $3
+  `, [`${escapeLikePattern(query)}%`, query, limit]);
+  const storedPlaces = stored.map(locationRowToPlace);
+
+  const exactMatch = storedPlaces.some(place => place.name.toLowerCase() === query.toLowerCase());
+  if (exactMatch) {
+    return storedPlaces;
   }
 
+  let fetchedPlaces;
   try {
-    const locations = await db.any('SELECT name FROM locations WHERE name ILIKE $1 LIMIT 10', [`%${query}%`]);
-    res.json(locations.map(loc => loc.name));
+    fetchedPlaces = await geocodeService.searchPlaces(query, limit);
   } catch (error) {
-    console.error('Error fetching locations:', error.message);
-    res.status(500).json({ error: 'Failed to fetch locations' });
+    // Fall back to what the database knows if the geocoder is unavailable
+    if (storedPlaces.length > 0) {
+      console.error('Geocoder unavailable, serving stored locations:', error.message);
+      return storedPlaces;
+    }
+    throw error;
   }
-});
 
-// Create a new post with image upload (protected by auth)
-app.post('/api/posts', auth, (req, res, next) => {
-  upload.single('image')(req, res, (err) => {
-    // Handle multer errors
-    if (err) {
-      if (err instanceof multer.MulterError) {
-        if (err.code === 'LIMIT_FILE_SIZE') {
-          return res.status(400).json({ error: 'File size too large. Maximum size is 10MB.' });
-        }
-        return res.status(400).json({ error: err.message });
-      }
-      if (err.message === 'Only image files are allowed!') {
-        return res.status(400).json({ error: 'Only image files are allowed!' });
-      }
-      return res.status(400).json({ error: err.message });
-    }
-    next();
-  });
-}, async (req, res) => {
+  for (const place of fetchedPlaces) {
+    await saveGeocodedLocation(place);
+  }
+
+  const names = new Set(fetchedPlaces.map(place => place.name.toLowerCase()));
+  return fetchedPlaces
+    .concat(storedPlaces.filter(place => !names.has(place.name.toLowerCase())))
+    .slice(0, limit);
+}
+
+// Geocode a free-form US location into "City, ST" places (protected by auth)
+app.get('/api/geocode', auth, validate({
+  query: {
+    q: { required: true, trim: true, maxLength: MAX_LOCATION_LENGTH },
+    limit: { type: 'int', min: 1, max: 10, default: 5 }
+  }
+}), async (req, res) => {
+  const { q, limit } = req.query;
+
+  try {
+    const places = await lookupPlaces(q, limit);
+    res.json(places);
+  } catch (error) {
+    console.error('Error geocoding location:', error.message);
+    if (error.code === 'GEOCODE_RATE_LIMITED') {
+      return res.status(429).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to geocode location' });
+  }
+});
+
+// Find the US place at a lat/lon (protected by auth)
+app.get('/api/geocode/reverse', auth, validate({ query: COORDINATES_QUERY }), async (req, res) => {
+  const { lat, lon } = req.query;
+
+  try {
+    const place = await geocodeService.reverseGeocode(lat, lon);
+    if (!place) {
+      return res.status(404).json({ error: 'No US location found at these coordinates' });
+    }
+    await saveGeocodedLocation(place);
+    res.json(place);
+  } catch (error) {
+    console.error('Error reverse geocoding location:', error.message);
+    if (error.code === 'GEOCODE_RATE_LIMITED') {
+      return res.status(429).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to reverse geocode location' });
+  }
+});
+
+// Active severe weather alerts for a location (protected by auth)
+app.get('/api/alerts', auth, validate({ query: COORDINATES_QUERY }), async (req, res) => {
+  const { lat, lon } = req.query;
+
+  try {
+    const alerts = await weatherService.getAlerts(lat, lon);
+    res.json(alerts);
+  } catch (error) {
+    console.error('Error fetching alerts:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch weather alerts',
+      message: error.message
+    });
+  }
+});
+
+//autocomplete location names route (protected by auth)
+app.get('/api/locations', auth, validate({
+  query: { query: { required: true, trim: true, maxLength: MAX_LOCATION_LENGTH } }
+}), async (req, res) => {
+  const { query } = req.query;
+
+  try {
+    const places = await lookupPlaces(query, 10);
+    res.json(places.map(place => place.name));
+  } catch (error) {
+    console.error('Error fetching locations:', error.message);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+});
+
+// Capture the current hourly conditions at a post's coordinates. Returns null
+// (and the post is saved without a snapshot) if the forecast is unavailable.
+async function getWeatherSnapshot(latitude, longitude) {
+  try {
+    const weather = await weatherService.getWeatherData(latitude, longitude);
+    const current = weather.current;
+    if (!current) {
+      return null;
+    }
+    const humidity = current.relativeHumidity;
+    const humidityValue = humidity ? (typeof humidity === 'object' ? humidity.value : humidity) : null;
+    return {
+      temperature: current.temperature ?? null,
+      temperatureUnit: current.temperatureUnit || null,
+      shortForecast: current.shortForecast || null,
+      wind: current.windSpeed ? `${current.windSpeed} ${current.windDirection || ''}`.trim() : null,
+      humidity: humidityValue ?? null
+    };
+  } catch (error) {
+    console.error('Error capturing weather for post:', error.message);
+    return null;
+  }
+}
+
+// Create a new post with up to MAX_POST_IMAGES images (protected by auth)
+// Limits post creation per user; runs before the upload so spam isn't processed
+const postRateLimit = postLimiter.middleware({
+  key: req => req.session.user.id,
+  onLimited: (req, res, retryAfterMs) => res.status(429).json({
+    error: `You're posting too quickly. Try again in ${formatRetryAfter(retryAfterMs)}.`
+  })
+});
+
+app.post('/api/posts', auth, postRateLimit, uploadPostImages, validate({
+  body: {
+    content: { trim: true, maxLength: MAX_POST_LENGTH },
+    location: { trim: true, maxLength: MAX_LOCATION_LENGTH },
+    latitude: LATITUDE,
+    longitude: LONGITUDE
+  }
+}), async (req, res) => {
+  // Images processed so far, whose files are removed again if the post is not created
+  let images = [];
   try {
     const { content, location, latitude, longitude } = req.body;
     const userId = req.session.user.id;
-    const imageFilename = req.file ? req.file.filename : null;
+    const files = req.files || [];
 
-    if (!content && !imageFilename) {
-      // If file was uploaded but no content, delete it
-      if (req.file) {
-        fs.unlinkSync(req.file.path);
-      }
+    if (!content && files.length === 0) {
       return res.status(400).json({ error: 'Post must have either content or an image' });
     }
 
-    const result = await db.one(`
-      INSERT INTO posts (user_id, content, image_filename, location, latitude, longitude)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id, created_at
-    `, [
-      userId,
-      content || null,
-      imageFilename,
-      location || null,
-      latitude ? parseFloat(latitude) : null,
-      longitude ? parseFloat(longitude) : null
-    ]);
+    let postLatitude = latitude ?? null;
+    let postLongitude = longitude ?? null;
+
+    try {
+      images = await processPostImages(files);
+    } catch (imageError) {
+      if (imageError.code === 'INVALID_IMAGE') {
+        return res.status(400).json({ error: imageError.message });
+      }
+      throw imageError;
+    }
+
+    // Place the post where the first geotagged photo was taken if the browser gave no position
+    const photoLocation = images.map(image => image.location).find(Boolean);
+    if ((postLatitude === null || postLongitude === null) && photoLocation) {
+      postLatitude = photoLocation.latitude;
+      postLongitude = photoLocation.longitude;
+    }
+
+    // Snapshot the weather the post is about while it is still current
+    const snapshot = postLatitude !== null && postLongitude !== null
+      ? await getWeatherSnapshot(postLatitude, postLongitude)
+      : null;
+
+    const result = await db.tx(async t => {
+      const created = await t.one(`
+        INSERT INTO posts (
+          user_id, content, location, latitude, longitude,
+          weather_temperature, weather_temperature_unit, weather_short_forecast,
+          weather_wind, weather_humidity, weather_captured_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id, created_at
+      `, [
+        userId,
+        content || null,
+        location || null,
+        postLatitude,
+        postLongitude,
+        snapshot ? snapshot.temperature : null,
+        snapshot ? snapshot.temperatureUnit : null,
+        snapshot ? snapshot.shortForecast : null,
+        snapshot ? snapshot.wind : null,
+        snapshot ? snapshot.humidity : null,
+        snapshot ? new Date() : null
+      ]);
+      await insertPostImages(t, created.id, images);
+      await setPostTags(t, created.id, content);
+      if (postLatitude !== null && postLongitude !== null) {
+        await notifyNearbyPost(t, created.id);
+      }
+      return created;
+    });
 
     // Fetch the complete post with username
     const post = await db.one(`
-      SELECT p.*, u.username 
+      SELECT p.*, u.username, ${POST_IMAGES_COLUMN}, ${POST_TAGS_COLUMN}
       FROM posts p 
       JOIN users u ON p.user_id = u.id 
       WHERE p.id = $1
@@ -423,64 +1330,564 @@ app.post('/api/posts', auth, (req, res, next) => {
     res.status(201).json({ success: true, post: post });
   } catch (error) {
     console.error('Error creating post:', error);
-    // Clean up uploaded file if post creation failed
-    if (req.file) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkError) {
-        console.error('Error deleting file:', unlinkError);
-      }
-    }
+    // Clean up the processed images if post creation failed
+    await removeProcessedImages(images);
     res.status(500).json({ error: 'Failed to create post' });
   }
 });
 
-// Get all posts (protected by auth)
-app.get('/api/posts', auth, async (req, res) => {
+// Error for a cursor that doesn't decode, in the standard validation error shape
+const INVALID_CURSOR = { location: 'query', field: 'cursor', message: 'Invalid cursor' };
+
+// Feed cursors are an opaque base64url encoding of the last post's (created_at, id)
+function encodePostCursor(createdAt, id) {
+  return Buffer.from(`${createdAt}|${id}`).toString('base64url');
+}
+
+// Returns { createdAt, id }, or null if the cursor is malformed
+function decodePostCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const postId = parseInt(id);
+  if (!createdAt || isNaN(postId) || isNaN(Date.parse(createdAt))) {
+    return null;
+  }
+  return { createdAt, id: postId };
+}
+
+// Distance-sorted feeds use the same opaque cursor shape, with the last post's distance
+function encodeDistanceCursor(distanceKm, id) {
+  return Buffer.from(`${distanceKm}|${id}`).toString('base64url');
+}
+
+// Returns { distanceKm, id }, or null if the cursor is malformed
+function decodeDistanceCursor(cursor) {
+  const [distance, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const distanceKm = Number(distance);
+  const postId = parseInt(id);
+  if (distance === '' || !Number.isFinite(distanceKm) || distanceKm < 0 || isNaN(postId)) {
+    return null;
+  }
+  return { distanceKm, id: postId };
+}
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_RADIUS_KM = 500;
+
+// Great-circle distance in km from ($lat, $lon) to a post's coordinates (haversine)
+function distanceSql(latParam, lonParam) {
+  return `(${EARTH_RADIUS_KM} * 2 * asin(sqrt(
+    power(sin(radians(p.latitude::float8 - ${latParam}::float8) / 2), 2) +
+    cos(radians(${latParam}::float8)) * cos(radians(p.latitude::float8)) *
+    power(sin(radians(p.longitude::float8 - ${lonParam}::float8) / 2), 2)
+  )))`;
+}
+
+// Posts this close to a saved location notify the user who saved it
+const NEARBY_POST_RADIUS_KM = 10;
+
+// Notifies other users with a saved location near a new post, once per user
+// (for their closest saved location)
+async function notifyNearbyPost(t, postId) {
+  await t.none(`
+    INSERT INTO notifications (user_id, type, actor_id, post_id, saved_location_id, data)
+    SELECT DISTINCT ON (sl.user_id) sl.user_id, 'nearby_post', p.user_id, p.id, sl.id,
+      jsonb_build_object('location', sl.location_text)
+    FROM posts p
+    JOIN user_saved_locations sl ON sl.user_id <> p.user_id
+      AND sl.latitude IS NOT NULL AND sl.longitude IS NOT NULL
+    WHERE p.id = $1 AND ${distanceSql('sl.latitude', 'sl.longitude')} <= $2
+    ORDER BY sl.user_id, ${distanceSql('sl.latitude', 'sl.longitude')}
+  `, [postId, NEARBY_POST_RADIUS_KM]);
+}
+
+// Maps a west-east span onto -180..180. A span crossing the antimeridian
+// becomes every longitude, as a box can't cover both of its sides.
+function wrapLongitudes(west, east) {
+  if (west >= -180 && east <= 180) {
+    return { west, east };
+  }
+  if (east - west >= 360) {
+    return { west: -180, east: 180 };
+  }
+  const shift = Math.floor((west + 180) / 360) * 360;
+  return east - shift <= 180
+    ? { west: west - shift, east: east - shift }
+    : { west: -180, east: 180 };
+}
+
+/**
+ * Parses the geospatial filters of GET /api/posts
+ * @param {Object} query - Request query with lat, lon, radius_km and/or bbox
+ * @returns {Object} { center, radiusKm, bbox } (each null when unused), or
+ *   { error, field } naming the parameter at fault
+ */
+function parseGeoFilter(query) {
+  const { lat, lon, radius_km, bbox } = query;
+  const filter = { center: null, radiusKm: null, bbox: null };
+
+  if (lat !== undefined || lon !== undefined) {
+    const latitude = Number(lat);
+    const longitude = Number(lon);
+    if (lat === '' || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+      return { error: 'lat and lon must be valid coordinates', field: 'lat' };
+    }
+    if (lon === '' || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      return { error: 'lat and lon must be valid coordinates', field: 'lon' };
+    }
+    filter.center = { latitude, longitude };
+  }
+
+  if (radius_km !== undefined) {
+    const radiusKm = Number(radius_km);
+    if (!filter.center) {
+      return { error: 'radius_km requires lat and lon', field: 'radius_km' };
+    }
+    if (radius_km === '' || !Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `radius_km must be between 0 and ${MAX_RADIUS_KM}`, field: 'radius_km' };
+    }
+    filter.radiusKm = radiusKm;
+  }
+
+  // bbox is "west,south,east,north" in degrees. Maps zoomed far out or panned
+  // across the antimeridian report edges past ±180 (and ±90 when taller than
+  // the world), so out of range edges are brought back onto the globe.
+  if (bbox !== undefined) {
+    const edges = String(bbox).split(',').map(Number);
+    if (edges.length !== 4 || !edges.every(Number.isFinite)) {
+      return { error: 'bbox must be west,south,east,north', field: 'bbox' };
+    }
+    const [west, south, east, north] = edges;
+    if (west > east || south > north) {
+      return { error: 'bbox must be west,south,east,north', field: 'bbox' };
+    }
+    filter.bbox = {
+      ...wrapLongitudes(west, east),
+      south: Math.max(south, -90),
+      north: Math.min(north, 90)
+    };
+  }
+
+  // A radius is searched through the bounding box around its circle, so the index can be used
+  if (filter.radiusKm) {
+    const { latitude, longitude } = filter.center;
+    const latDelta = (filter.radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+    const cosLat = Math.cos(latitude * Math.PI / 180);
+    const lonDelta = cosLat > 0.01 ? Math.min(latDelta / cosLat, 180) : 180;
+    const circle = {
+      west: Math.max(longitude - lonDelta, -180),
+      south: Math.max(latitude - latDelta, -90),
+      east: Math.min(longitude + lonDelta, 180),
+      north: Math.min(latitude + latDelta, 90)
+    };
+    filter.bbox = filter.bbox
+      ? {
+        west: Math.max(filter.bbox.west, circle.west),
+        south: Math.max(filter.bbox.south, circle.south),
+        east: Math.min(filter.bbox.east, circle.east),
+        north: Math.min(filter.bbox.north, circle.north)
+      }
+      : circle;
+  }
+
+  return filter;
+}
+
+// Get a page of posts, newest first, or nearest first when lat/lon are given (protected by auth)
+app.get('/api/posts', auth, validate({
+  query: {
+    limit: { type: 'int', min: 1, max: 50, default: 20 },
+    user_id: { type: 'int', min: 1, max: MAX_INT },
+    following: { type: 'boolean' },
+    location: { trim: true, maxLength: MAX_LOCATION_LENGTH },
+    tag: { check: tag => hashtags.normalizeTag(tag) ? null : 'Invalid tag' },
+    cursor: { maxLength: 200 }
+  }
+}), async (req, res) => {
   try {
-    const { location, user_id } = req.query;
+    const { location, user_id, following, tag, cursor, limit } = req.query;
+    const geo = parseGeoFilter(req.query);
+    if (geo.error) {
+      return sendValidationErrors(res, [{ location: 'query', field: geo.field, message: geo.error }]);
+    }
+
+    // $1 is the current user, for their own reaction state; $2/$3 are the
+    // search center when there is one
+    const params = [req.session.user.id];
+    let paramCount = 2;
+    let distance = null;
+    if (geo.center) {
+      params.push(geo.center.latitude, geo.center.longitude);
+      paramCount += 2;
+      distance = distanceSql('$2', '$3');
+    }
+
     let query = `
-      SELECT p.*, u.username 
+      SELECT p.*, u.username, ${POST_IMAGES_COLUMN}, ${POST_TAGS_COLUMN},
+        to_char(p.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_created_at,
+        ${distance ? `${distance} AS distance_km,` : ''}
+        (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id)::int AS comment_count,
+        ${reactionColumns('$1')}
       FROM posts p 
       JOIN users u ON p.user_id = u.id 
-      WHERE 1=1
+      WHERE ${visiblePostSql('$1')}
     `;
-    const params = [];
-    let paramCount = 1;
+
+    if (geo.bbox) {
+      query += ` AND p.latitude IS NOT NULL AND p.longitude IS NOT NULL
+        AND point(p.longitude::float8, p.latitude::float8) <@ box(point($${paramCount}, $${paramCount + 1}), point($${paramCount + 2}, $${paramCount + 3}))`;
+      params.push(geo.bbox.west, geo.bbox.south, geo.bbox.east, geo.bbox.north);
+      paramCount += 4;
+    } else if (distance) {
+      query += ' AND p.latitude IS NOT NULL AND p.longitude IS NOT NULL';
+    }
+
+    if (geo.radiusKm) {
+      query += ` AND ${distance} <= $${paramCount}`;
+      params.push(geo.radiusKm);
+      paramCount++;
+    }
 
     if (location) {
       query += ` AND p.location ILIKE $${paramCount}`;
-      params.push(`%${location}%`);
+      params.push(`%${escapeLikePattern(location)}%`);
       paramCount++;
     }
 
     if (user_id) {
       query += ` AND p.user_id = $${paramCount}`;
-      params.push(parseInt(user_id));
+      params.push(user_id);
       paramCount++;
     }
 
-    query += ` ORDER BY p.created_at DESC LIMIT 50`;
+    if (tag) {
+      query += ` AND p.id IN (
+        SELECT pt.post_id FROM post_tags pt JOIN tags t ON t.id = pt.tag_id WHERE t.name = $${paramCount}
+      )`;
+      params.push(hashtags.normalizeTag(tag));
+      paramCount++;
+    }
+
+    // Limit the feed to accounts the current user follows
+    if (following) {
+      query += ` AND p.user_id IN (SELECT following_id FROM follows WHERE follower_id = $1)`;
+    }
+
+    // Continue after the last post of the previous page. The cursor timestamp keeps
+    // microseconds, so posts created in the same millisecond are not skipped.
+    if (cursor && distance) {
+      const position = decodeDistanceCursor(cursor);
+      if (!position) {
+        return sendValidationErrors(res, [INVALID_CURSOR]);
+      }
+      query += ` AND (${distance}, p.id) > ($${paramCount}::float8, $${paramCount + 1})`;
+      params.push(position.distanceKm, position.id);
+      paramCount += 2;
+    } else if (cursor) {
+      const position = decodePostCursor(cursor);
+      if (!position) {
+        return sendValidationErrors(res, [INVALID_CURSOR]);
+      }
+      query += ` AND (p.created_at, p.id) < ($${paramCount}::timestamptz, $${paramCount + 1})`;
+      params.push(position.createdAt, position.id);
+      paramCount += 2;
+    }
+
+    // Fetch one extra post to know whether there is another page
+    query += distance
+      ? ` ORDER BY distance_km ASC, p.id ASC LIMIT $${paramCount}`
+      : ` ORDER BY p.created_at DESC, p.id DESC LIMIT $${paramCount}`;
+    params.push(limit + 1);
+    paramCount++;
+
+    const rows = await db.any(query, params);
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
 
-    const posts = await db.any(query, params);
     // Add current user ID to each post so frontend knows which posts can be deleted
-    const postsWithUser = posts.map(post => ({
-      ...post,
+    const postsWithUser = pageRows.map(({ cursor_created_at, ...post }) => ({
+      ...withReactions(post),
       current_user_id: req.session.user.id,
       can_delete: post.user_id === req.session.user.id
     }));
-    res.json(postsWithUser);
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = distance
+        ? encodeDistanceCursor(lastRow.distance_km, lastRow.id)
+        : encodePostCursor(lastRow.cursor_created_at, lastRow.id);
+    }
+    res.json({
+      posts: postsWithUser,
+      next_cursor: nextCursor
+    });
   } catch (error) {
     console.error('Error fetching posts:', error);
     res.status(500).json({ error: 'Failed to fetch posts' });
   }
 });
 
+// Get recent geotagged posts as a GeoJSON FeatureCollection for the map (protected by auth)
+app.get('/api/posts.geojson', auth, validate({
+  query: { limit: { type: 'int', min: 1, max: 500, default: 200 } }
+}), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const geo = parseGeoFilter({ bbox: req.query.bbox });
+    if (geo.error) {
+      return sendValidationErrors(res, [{ location: 'query', field: geo.field, message: geo.error }]);
+    }
+
+    let query = `
+      SELECT p.id, p.content, p.location, p.latitude, p.longitude, p.created_at, ${POST_IMAGES_COLUMN},
+        p.weather_temperature, p.weather_temperature_unit, p.weather_short_forecast, u.username
+      FROM posts p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.latitude IS NOT NULL AND p.longitude IS NOT NULL AND p.hidden_at IS NULL
+    `;
+    const params = [];
+    if (geo.bbox) {
+      query += ' AND point(p.longitude::float8, p.latitude::float8) <@ box(point($1, $2), point($3, $4))';
+      params.push(geo.bbox.west, geo.bbox.south, geo.bbox.east, geo.bbox.north);
+    }
+    query += ` ORDER BY p.created_at DESC, p.id DESC LIMIT $${params.length + 1}`;
+    params.push(limit);
+
+    const posts = await db.any(query, params);
+    res.type('application/geo+json').send(JSON.stringify({
+      type: 'FeatureCollection',
+      features: posts.map(({ latitude, longitude, ...post }) => ({
+        type: 'Feature',
+        id: post.id,
+        geometry: {
+          type: 'Point',
+          coordinates: [parseFloat(longitude), parseFloat(latitude)]
+        },
+        properties: post
+      }))
+    }));
+  } catch (error) {
+    console.error('Error fetching post GeoJSON:', error);
+    res.status(500).json({ error: 'Failed to fetch posts' });
+  }
+});
+
+// A post's searchable text, content weighted above location. Must match the
+// posts_search_idx expression (migration 013) for searches to use the index.
+const POST_SEARCH_DOCUMENT = `(
+  setweight(to_tsvector('english', COALESCE(p.content, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(p.location, '')), 'B')
+)`;
+// Matching authors are looked up first (users_username_search_idx), so both
+// halves of the search can use an index
+const AUTHOR_SEARCH_DOCUMENT = "to_tsvector('simple', u.username)";
+const MAX_SEARCH_LENGTH = 200;
+
+// ts_headline wraps matches in these control characters (removed from the
+// text first), so the snippet can be escaped before they become <mark>
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const SNIPPET_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "`;
+const FULL_HIGHLIGHT_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Turns a ts_headline result into safe HTML with the matches in <mark>
+function highlightHtml(headline) {
+  if (!headline) return '';
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+// Search cursors are an opaque base64url encoding of the last result's (rank, id)
+function encodeSearchCursor(rank, id) {
+  return Buffer.from(`${rank}|${id}`).toString('base64url');
+}
+
+// Returns { rank, id }, or null if the cursor is malformed
+function decodeSearchCursor(cursor) {
+  const [rank, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const postId = parseInt(id);
+  if (rank === '' || !Number.isFinite(Number(rank)) || isNaN(postId)) {
+    return null;
+  }
+  return { rank, id: postId };
+}
+
+// Rule for a calendar day as YYYY-MM-DD, rejecting ones that don't exist (like 2024-02-30)
+function dayQuery(field) {
+  return {
+    check: day => /^\d{4}-\d{2}-\d{2}$/.test(day) && !isNaN(Date.parse(day)) &&
+      new Date(day).toISOString().startsWith(day) ? null : `${field} must be a date (YYYY-MM-DD)`
+  };
+}
+
+// Search posts by their content, location and author, best matches first (protected by auth)
+app.get('/api/search', auth, validate({
+  query: {
+    q: { required: true, trim: true, maxLength: MAX_SEARCH_LENGTH },
+    author: { trim: true, maxLength: 50 },
+    from: dayQuery('from'),
+    to: dayQuery('to'),
+    // Timezone the from/to days are in (default: the user's preference, else UTC)
+    tz: { check: zone => units.isValidTimezone(zone) ? null : 'Unknown timezone' },
+    limit: { type: 'int', min: 1, max: 50, default: 20 },
+    cursor: { maxLength: 200 }
+  }
+}), async (req, res) => {
+  try {
+    const { q, author, from, to, cursor, limit } = req.query;
+    if (from && to && from > to) {
+      return sendValidationErrors(res, [{ location: 'query', field: 'from', message: 'from must not be after to' }]);
+    }
+
+    // $1 is the search text. Post text is stemmed (so "snow" finds "snowing"),
+    // author names are matched as written.
+    const params = [q, SNIPPET_OPTIONS, FULL_HIGHLIGHT_OPTIONS, req.session.user.id];
+    let paramCount = 5;
+    const postQuery = "websearch_to_tsquery('english', $1)";
+    const authorQuery = "websearch_to_tsquery('simple', $1)";
+    const rank = `ts_rank(${POST_SEARCH_DOCUMENT} || setweight(${AUTHOR_SEARCH_DOCUMENT}, 'C'), ${postQuery} || ${authorQuery})`;
+
+    let query = `
+      SELECT p.id, p.user_id, u.username, p.content, p.location, p.created_at, ${POST_IMAGES_COLUMN},
+        ${rank} AS rank,
+        ts_headline('english', translate(COALESCE(p.content, ''), chr(2) || chr(3), ''), ${postQuery}, $2) AS content_headline,
+        ts_headline('english', translate(COALESCE(p.location, ''), chr(2) || chr(3), ''), ${postQuery}, $3) AS location_headline,
+        ${AUTHOR_SEARCH_DOCUMENT} @@ ${authorQuery} AS author_matched
+      FROM posts p
+      JOIN users u ON p.user_id = u.id
+      WHERE (${POST_SEARCH_DOCUMENT} @@ ${postQuery} OR p.user_id = ANY(ARRAY(
+        SELECT id FROM users WHERE to_tsvector('simple', username) @@ ${authorQuery}
+      )))
+      AND ${visiblePostSql('$4')}
+    `;
+
+    if (author) {
+      query += ` AND u.username = $${paramCount}`;
+      params.push(author);
+      paramCount++;
+    }
+
+    // Days run midnight to midnight in the requested timezone, both ends included
+    if (from || to) {
+      const timezone = req.query.tz || (await getPreferences(req.session.user.id)).timezone || 'UTC';
+      if (from) {
+        query += ` AND p.created_at >= ($${paramCount}::date)::timestamp AT TIME ZONE $${paramCount + 1}`;
+        params.push(from, timezone);
+        paramCount += 2;
+      }
+      if (to) {
+        query += ` AND p.created_at < ($${paramCount}::date + 1)::timestamp AT TIME ZONE $${paramCount + 1}`;
+        params.push(to, timezone);
+        paramCount += 2;
+      }
+    }
+
+    // Ranks are reals, which survive the trip through the cursor's decimal text
+    if (cursor) {
+      const position = decodeSearchCursor(cursor);
+      if (!position) {
+        return sendValidationErrors(res, [INVALID_CURSOR]);
+      }
+      query += ` AND (${rank}, p.id) < ($${paramCount}::real, $${paramCount + 1})`;
+      params.push(position.rank, position.id);
+      paramCount += 2;
+    }
+
+    // Fetch one extra result to know whether there is another page
+    query += ` ORDER BY rank DESC, p.id DESC LIMIT $${paramCount}`;
+    params.push(limit + 1);
+
+    const rows = await db.any(query, params);
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
+
+    res.json({
+      results: pageRows.map(({ content_headline, location_headline, ...post }) => ({
+        ...post,
+        highlight: {
+          content: highlightHtml(content_headline),
+          location: highlightHtml(location_headline)
+        }
+      })),
+      next_cursor: hasMore ? encodeSearchCursor(lastRow.rank, lastRow.id) : null
+    });
+  } catch (error) {
+    console.error('Error searching posts:', error);
+    res.status(500).json({ error: 'Failed to search posts' });
+  }
+});
+
+const MAX_TRENDING_HOURS = 7 * 24;
+// Radius of the region around lat/lon when radius_km isn't given
+const DEFAULT_TRENDING_RADIUS_KM = 50;
+
+// Get the most used hashtags of the last few hours, optionally only in posts
+// within radius_km of lat/lon (protected by auth)
+app.get('/api/trending', auth, validate({
+  query: {
+    hours: { type: 'int', min: 1, max: MAX_TRENDING_HOURS, default: 24 },
+    limit: { type: 'int', min: 1, max: 20, default: 10 },
+    lat: LATITUDE,
+    lon: LONGITUDE,
+    radius_km: { type: 'number', min: 1, max: MAX_RADIUS_KM }
+  }
+}), async (req, res) => {
+  try {
+    const { hours, limit, lat, lon } = req.query;
+    const radiusKm = req.query.radius_km ?? (lat !== undefined ? DEFAULT_TRENDING_RADIUS_KM : undefined);
+    const geo = parseGeoFilter({ lat, lon, radius_km: radiusKm });
+    if (geo.error) {
+      return sendValidationErrors(res, [{ location: 'query', field: geo.field, message: geo.error }]);
+    }
+
+    const params = [hours];
+    let query = `
+      SELECT t.name AS tag, COUNT(*)::int AS post_count,
+        COUNT(DISTINCT p.user_id)::int AS author_count, MAX(p.created_at) AS last_posted_at
+      FROM post_tags pt
+      JOIN tags t ON t.id = pt.tag_id
+      JOIN posts p ON p.id = pt.post_id
+      WHERE p.created_at >= NOW() - make_interval(hours => $1) AND p.hidden_at IS NULL
+    `;
+    if (geo.center) {
+      params.push(geo.center.latitude, geo.center.longitude, geo.bbox.west, geo.bbox.south, geo.bbox.east, geo.bbox.north, geo.radiusKm);
+      query += ` AND p.latitude IS NOT NULL AND p.longitude IS NOT NULL
+        AND point(p.longitude::float8, p.latitude::float8) <@ box(point($4, $5), point($6, $7))
+        AND ${distanceSql('$2', '$3')} <= $8`;
+    }
+    // Ties go to the tag more people are using, then the one used most recently
+    query += `
+      GROUP BY t.name
+      ORDER BY post_count DESC, author_count DESC, last_posted_at DESC, t.name
+      LIMIT $${params.length + 1}
+    `;
+    params.push(limit);
+
+    const tags = await db.any(query, params);
+    res.json({
+      hours,
+      region: geo.center ? { lat: geo.center.latitude, lon: geo.center.longitude, radius_km: geo.radiusKm } : null,
+      tags
+    });
+  } catch (error) {
+    console.error('Error fetching trending tags:', error);
+    res.status(500).json({ error: 'Failed to fetch trending tags' });
+  }
+});
+
 // Update a post (protected by auth, only post owner can update)
-app.put('/api/posts/:id', auth, async (req, res) => {
+app.put('/api/posts/:id', auth, validate({
+  params: { id: idParam('post') },
+  // Content can be cleared as long as the post keeps an image
+  body: { content: { required: true, allowEmpty: true, trim: true, maxLength: MAX_POST_LENGTH } }
+}), async (req, res) => {
   console.log('PUT /api/posts/:id route hit', req.params.id, req.method, req.path);
   try {
-    const postId = parseInt(req.params.id);
+    const postId = req.params.id;
     const userId = req.session.user.id;
     const { content } = req.body;
 
@@ -495,27 +1902,21 @@ app.put('/api/posts/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'You can only edit your own posts' });
     }
 
-    // Validate that content field is provided (can be empty string, but must be present)
-    if (content === undefined) {
-      return res.status(400).json({ error: 'Content field is required' });
-    }
-
-    // Normalize content: trim whitespace, but keep the string (don't convert to null unless truly empty)
-    const normalizedContent = typeof content === 'string' ? content.trim() : String(content || '').trim();
-
     // Ensure post still has either content or an image after update
-    // Only check this if normalizedContent is empty (after trim)
-    if (normalizedContent === '' && !post.image_filename) {
+    if (content === '' && (await getPostImages(postId)).length === 0) {
       return res.status(400).json({ error: 'Post must have either content or an image' });
     }
 
     // Update the post content (use null for empty string to match database schema)
-    const contentToSave = normalizedContent === '' ? null : normalizedContent;
-    await db.none('UPDATE posts SET content = $1 WHERE id = $2', [contentToSave, postId]);
+    const contentToSave = content === '' ? null : content;
+    await db.tx(async t => {
+      await t.none('UPDATE posts SET content = $1 WHERE id = $2', [contentToSave, postId]);
+      await setPostTags(t, postId, contentToSave);
+    });
 
     // Fetch the updated post with username
     const updatedPost = await db.one(`
-      SELECT p.*, u.username 
+      SELECT p.*, u.username, ${POST_IMAGES_COLUMN}, ${POST_TAGS_COLUMN}
       FROM posts p 
       JOIN users u ON p.user_id = u.id 
       WHERE p.id = $1
@@ -530,9 +1931,9 @@ app.put('/api/posts/:id', auth, async (req, res) => {
 });
 
 // Delete a post (protected by auth, only post owner can delete)
-app.delete('/api/posts/:id', auth, async (req, res) => {
+app.delete('/api/posts/:id', auth, validate({ params: { id: idParam('post') } }), async (req, res) => {
   try {
-    const postId = parseInt(req.params.id);
+    const postId = req.params.id;
     const userId = req.session.user.id;
 
     // First, check if the post exists and belongs to the user
@@ -546,22 +1947,13 @@ app.delete('/api/posts/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'You can only delete your own posts' });
     }
 
-    // Delete the associated image file if it exists
-    if (post.image_filename) {
-      const imagePath = path.join(uploadsDir, post.image_filename);
-      try {
-        if (fs.existsSync(imagePath)) {
-          fs.unlinkSync(imagePath);
-        }
-      } catch (fileError) {
-        console.error('Error deleting image file:', fileError);
-        // Continue with post deletion even if file deletion fails
-      }
-    }
-
-    // Delete the post from the database
+    // Delete the post from the database (its post_images rows cascade)
+    const images = await getPostImages(postId);
     await db.none('DELETE FROM posts WHERE id = $1', [postId]);
 
+    // Delete every size of every image (failures are logged, and the post stays deleted)
+    await removeStoredImages(images);
+
     res.json({ success: true, message: 'Post deleted successfully' });
   } catch (error) {
     console.error('Error deleting post:', error);
@@ -569,68 +1961,1277 @@ app.delete('/api/posts/:id', auth, async (req, res) => {
   }
 });
 
-// Get user's saved locations (protected by auth)
-app.get('/api/saved-locations', auth, async (req, res) => {
+// Look up a post for an image change, responding 404/403 unless it belongs to the user
+async function findOwnPost(req, res) {
+  const post = await db.oneOrNone('SELECT * FROM posts WHERE id = $1', [req.params.id]);
+  if (!post) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+  if (post.user_id !== req.session.user.id) {
+    res.status(403).json({ error: 'You can only edit your own posts' });
+    return null;
+  }
+  return post;
+}
+
+// Add images to a post, after its existing ones (protected by auth, only post owner)
+app.post('/api/posts/:id/images', auth, validate({ params: { id: idParam('post') } }), uploadPostImages, async (req, res) => {
+  let images = [];
   try {
-    const userId = req.session.user.id;
-    const locations = await db.any(
-      'SELECT location_text FROM user_saved_locations WHERE user_id = $1 ORDER BY location_text',
-      [userId]
-    );
-    res.json(locations.map(loc => loc.location_text));
+    const post = await findOwnPost(req, res);
+    if (!post) return;
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required' });
+    }
+    const existing = await getPostImages(post.id);
+    if (existing.length + files.length > MAX_POST_IMAGES) {
+      return res.status(400).json({ error: `A post can have at most ${MAX_POST_IMAGES} images` });
+    }
+
+    try {
+      images = await processPostImages(files);
+    } catch (imageError) {
+      if (imageError.code === 'INVALID_IMAGE') {
+        return res.status(400).json({ error: imageError.message });
+      }
+      throw imageError;
+    }
+
+    await db.tx(t => insertPostImages(t, post.id, images));
+    res.status(201).json({ success: true, images: await getPostImages(post.id) });
   } catch (error) {
-    console.error('Error fetching saved locations:', error.message);
-    res.status(500).json({ error: 'Failed to fetch saved locations' });
+    console.error('Error adding post images:', error);
+    await removeProcessedImages(images);
+    res.status(500).json({ error: 'Failed to add images' });
   }
 });
 
-// Save location to user's saved locations (protected by auth)
-app.post('/api/saved-locations', auth, async (req, res) => {
-  const { location_text } = req.body;
-  if (!location_text || location_text.trim() === '') {
-    return res.status(400).json({ error: 'Location text is required' });
-  }
+// Reorder a post's images (protected by auth, only post owner)
+app.put('/api/posts/:id/images/order', auth, validate({
+  params: { id: idParam('post') },
+  body: { image_ids: { type: 'array', required: true, maxItems: MAX_POST_IMAGES, items: idParam('image') } }
+}), async (req, res) => {
   try {
-    const userId = req.session.user.id;
-    await db.none(
-      'INSERT INTO user_saved_locations (user_id, location_text) VALUES ($1, $2) ON CONFLICT (user_id, location_text) DO NOTHING',
-      [userId, location_text.trim()]
-    );
-    res.json({ status: 'success', message: 'Location saved' });
+    const post = await findOwnPost(req, res);
+    if (!post) return;
+
+    const ids = req.body.image_ids;
+    const existing = await getPostImages(post.id);
+    const existingIds = existing.map(image => image.id);
+    const sameImages = ids.length === existingIds.length &&
+      new Set(ids).size === ids.length &&
+      ids.every(id => existingIds.includes(id));
+    if (!sameImages) {
+      return res.status(400).json({ error: 'image_ids must list each of the post\'s images once' });
+    }
+
+    await db.tx(async t => {
+      for (const [position, imageId] of ids.entries()) {
+        await t.none('UPDATE post_images SET position = $1 WHERE id = $2', [position, imageId]);
+      }
+    });
+    res.json({ success: true, images: await getPostImages(post.id) });
   } catch (error) {
-    console.error('Error saving location:', error.message);
-    res.status(500).json({ error: 'Failed to save location' });
+    console.error('Error reordering post images:', error);
+    res.status(500).json({ error: 'Failed to reorder images' });
   }
 });
 
-// Delete location from user's saved locations (protected by auth)
-app.delete('/api/saved-locations', auth, async (req, res) => {
-  const { location_text } = req.body;
-  if (!location_text || location_text.trim() === '') {
-    return res.status(400).json({ error: 'Location text is required' });
-  }
+// Remove an image from a post (protected by auth, only post owner)
+app.delete('/api/posts/:id/images/:imageId', auth, validate({
+  params: { id: idParam('post'), imageId: idParam('image') }
+}), async (req, res) => {
   try {
-    const userId = req.session.user.id;
-    const result = await db.result(
-      'DELETE FROM user_saved_locations WHERE user_id = $1 AND location_text = $2',
-      [userId, location_text.trim()]
-    );
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Location not found' });
+    const post = await findOwnPost(req, res);
+    if (!post) return;
+
+    const existing = await getPostImages(post.id);
+    const image = existing.find(i => i.id === req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
     }
-    res.json({ status: 'success', message: 'Location deleted' });
+    if (existing.length === 1 && !post.content) {
+      return res.status(400).json({ error: 'Post must have either content or an image' });
+    }
+
+    // Close the gap the image leaves in the ordering
+    await db.tx(async t => {
+      await t.none('DELETE FROM post_images WHERE id = $1', [image.id]);
+      await t.none('UPDATE post_images SET position = position - 1 WHERE post_id = $1 AND position > $2', [post.id, image.position]);
+    });
+    await removeStoredImages([image]);
+
+    res.json({ success: true, images: await getPostImages(post.id) });
   } catch (error) {
-    console.error('Error deleting location:', error.message);
-    res.status(500).json({ error: 'Failed to delete location' });
+    console.error('Error removing post image:', error);
+    res.status(500).json({ error: 'Failed to remove image' });
   }
 });
 
-// Verify table creation (protected by auth)
-app.get('/api/verify-table', auth, async (req, res) => {
-  try {
-    const result = await db.any(`
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
+// Fetch a post's comments with their replies nested under them
+async function getPostComments(postId, userId) {
+  const rows = await db.any(`
+    SELECT c.*, u.username
+    FROM comments c
+    JOIN users u ON c.user_id = u.id
+    WHERE c.post_id = $1
+    ORDER BY c.created_at ASC, c.id ASC
+  `, [postId]);
+
+  const topLevel = [];
+  const byId = new Map();
+  rows.forEach(row => {
+    const comment = { ...row, can_edit: row.user_id === userId };
+    if (!row.parent_id) {
+      comment.replies = [];
+      topLevel.push(comment);
+      byId.set(row.id, comment);
+    }
+  });
+  rows.forEach(row => {
+    if (row.parent_id && byId.has(row.parent_id)) {
+      byId.get(row.parent_id).replies.push({ ...row, can_edit: row.user_id === userId });
+    }
+  });
+  return topLevel;
+}
+
+// Fetch a single comment with its author's username
+async function getComment(commentId) {
+  return db.one(`
+    SELECT c.*, u.username
+    FROM comments c
+    JOIN users u ON c.user_id = u.id
+    WHERE c.id = $1
+  `, [commentId]);
+}
+
+// Get comments on a post (protected by auth)
+app.get('/api/posts/:id/comments', auth, validate({ params: { id: idParam('post') } }), async (req, res) => {
+  try {
+    const postId = req.params.id;
+
+    const post = await findVisiblePost(postId, req.session.user.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const comments = await getPostComments(postId, req.session.user.id);
+    res.json(comments);
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Comment on a post, or reply to a comment (protected by auth)
+app.post('/api/posts/:id/comments', auth, validate({
+  params: { id: idParam('post') },
+  body: {
+    content: { required: true, trim: true, maxLength: MAX_COMMENT_LENGTH },
+    parent_id: { ...idParam('comment'), required: false, nullable: true }
+  }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.session.user.id;
+    const { content, parent_id } = req.body;
+
+    const post = await findVisiblePost(postId, req.session.user.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    let parent = null;
+    if (parent_id) {
+      parent = await db.oneOrNone(
+        'SELECT id, parent_id, user_id FROM comments WHERE id = $1 AND post_id = $2',
+        [parent_id, postId]
+      );
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+    // Replies are only one level deep, so replying to a reply joins its thread
+    const parentId = parent ? parent.parent_id || parent.id : null;
+
+    const result = await db.tx(async t => {
+      const created = await t.one(`
+        INSERT INTO comments (post_id, user_id, parent_id, content)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [postId, userId, parentId, content]);
+
+      // The author of the comment replied to hears about the reply, and the
+      // post's author about any other comment, but nobody about their own
+      const notification = { actorId: userId, postId, commentId: created.id };
+      if (parent && parent.user_id !== userId) {
+        await notificationService.createNotification(t, { ...notification, userId: parent.user_id, type: 'comment_reply' });
+      }
+      if (post.user_id !== userId && (!parent || parent.user_id !== post.user_id)) {
+        await notificationService.createNotification(t, { ...notification, userId: post.user_id, type: 'post_comment' });
+      }
+      return created;
+    });
+
+    const comment = await getComment(result.id);
+    res.status(201).json({ success: true, comment: { ...comment, can_edit: true } });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
+});
+
+// Update a comment (protected by auth, only comment owner can update)
+app.put('/api/posts/:id/comments/:commentId', auth, validate({
+  params: { id: idParam('post'), commentId: idParam('comment') },
+  body: { content: { required: true, trim: true, maxLength: MAX_COMMENT_LENGTH } }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const commentId = req.params.commentId;
+    const userId = req.session.user.id;
+    const { content } = req.body;
+
+    // First, check if the comment exists and belongs to the user
+    const comment = await db.oneOrNone('SELECT * FROM comments WHERE id = $1 AND post_id = $2', [commentId, postId]);
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user_id !== userId) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    await db.none('UPDATE comments SET content = $1, updated_at = NOW() WHERE id = $2', [content, commentId]);
+
+    const updatedComment = await getComment(commentId);
+    res.json({ success: true, comment: { ...updatedComment, can_edit: true } });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
+  }
+});
+
+// Delete a comment and its replies (protected by auth, only comment owner can delete)
+app.delete('/api/posts/:id/comments/:commentId', auth, validate({
+  params: { id: idParam('post'), commentId: idParam('comment') }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const commentId = req.params.commentId;
+    const userId = req.session.user.id;
+
+    // First, check if the comment exists and belongs to the user
+    const comment = await db.oneOrNone('SELECT * FROM comments WHERE id = $1 AND post_id = $2', [commentId, postId]);
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user_id !== userId) {
+      return res.status(403).json({ error: 'You can only delete your own comments' });
+    }
+
+    await db.none('DELETE FROM comments WHERE id = $1', [commentId]);
+
+    res.json({ success: true, message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// Reactions readers can leave on a post: agree, confirm the report, or flag it
+// as no longer accurate
+const REACTION_TYPES = ['like', 'confirmed', 'outdated'];
+
+// SQL select columns with a post's reaction counts and the reactions left by
+// the user in the given query parameter (e.g. '$1')
+function reactionColumns(userParam) {
+  return `
+    (SELECT COALESCE(json_object_agg(r.type, r.count), '{}')
+      FROM (SELECT type, COUNT(*)::int AS count FROM reactions WHERE post_id = p.id GROUP BY type) r
+    ) AS reaction_counts,
+    (SELECT COALESCE(json_agg(type), '[]') FROM reactions WHERE post_id = p.id AND user_id = ${userParam}) AS my_reactions
+  `;
+}
+
+// Fold reaction_counts/my_reactions columns into { type: { count, reacted } }
+function withReactions(post) {
+  const { reaction_counts, my_reactions, ...rest } = post;
+  const reactions = {};
+  REACTION_TYPES.forEach(type => {
+    reactions[type] = {
+      count: (reaction_counts && reaction_counts[type]) || 0,
+      reacted: (my_reactions || []).includes(type)
+    };
+  });
+  return { ...rest, reactions };
+}
+
+// Reaction summary for a single post
+async function getPostReactions(postId, userId) {
+  const post = await db.one(`
+    SELECT p.id, ${reactionColumns('$2')}
+    FROM posts p
+    WHERE p.id = $1
+  `, [postId, userId]);
+  return withReactions(post).reactions;
+}
+
+// Get reaction counts for a post (protected by auth)
+app.get('/api/posts/:id/reactions', auth, validate({ params: { id: idParam('post') } }), async (req, res) => {
+  try {
+    const postId = req.params.id;
+
+    const post = await findVisiblePost(postId, req.session.user.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const reactions = await getPostReactions(postId, req.session.user.id);
+    res.json(reactions);
+  } catch (error) {
+    console.error('Error fetching reactions:', error);
+    res.status(500).json({ error: 'Failed to fetch reactions' });
+  }
+});
+
+// Toggle the current user's reaction of a given type on a post (protected by auth)
+app.post('/api/posts/:id/reactions', auth, validate({
+  params: { id: idParam('post') },
+  body: { type: { required: true, enum: REACTION_TYPES } }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.session.user.id;
+    const { type } = req.body;
+
+    const post = await findVisiblePost(postId, req.session.user.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Remove the reaction if it exists, otherwise add it
+    const removed = await db.result(
+      'DELETE FROM reactions WHERE post_id = $1 AND user_id = $2 AND type = $3',
+      [postId, userId, type]
+    );
+    if (removed.rowCount === 0) {
+      await db.none(
+        'INSERT INTO reactions (post_id, user_id, type) VALUES ($1, $2, $3) ON CONFLICT (post_id, user_id, type) DO NOTHING',
+        [postId, userId, type]
+      );
+    }
+
+    const reactions = await getPostReactions(postId, userId);
+    res.json({ success: true, reacted: removed.rowCount === 0, reactions: reactions });
+  } catch (error) {
+    console.error('Error toggling reaction:', error);
+    res.status(500).json({ error: 'Failed to update reaction' });
+  }
+});
+
+// Get a user's public profile and stats (protected by auth)
+app.get('/api/users/:username', auth, async (req, res) => {
+  try {
+    const profileUser = await getUserProfile(req.params.username, req.session.user.id);
+    if (!profileUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(profileUser);
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Follow a user (protected by auth)
+app.post('/api/users/:username/follow', auth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const target = await db.oneOrNone('SELECT id FROM users WHERE username = $1', [req.params.username]);
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (target.id === userId) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    await db.tx(async t => {
+      await t.none(
+        'INSERT INTO follows (follower_id, following_id) VALUES ($1, $2) ON CONFLICT (follower_id, following_id) DO NOTHING',
+        [userId, target.id]
+      );
+      // Keyed by follower, so unfollowing and following again doesn't notify twice
+      await notificationService.createNotification(t, {
+        userId: target.id,
+        type: 'new_follower',
+        actorId: userId,
+        dedupeKey: `follow:${userId}`
+      });
+    });
+    const profileUser = await getUserProfile(req.params.username, userId);
+    res.json({ success: true, user: profileUser });
+  } catch (error) {
+    console.error('Error following user:', error);
+    res.status(500).json({ error: 'Failed to follow user' });
+  }
+});
+
+// Unfollow a user (protected by auth)
+app.delete('/api/users/:username/follow', auth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const target = await db.oneOrNone('SELECT id FROM users WHERE username = $1', [req.params.username]);
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await db.none('DELETE FROM follows WHERE follower_id = $1 AND following_id = $2', [userId, target.id]);
+    const profileUser = await getUserProfile(req.params.username, userId);
+    res.json({ success: true, user: profileUser });
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    res.status(500).json({ error: 'Failed to unfollow user' });
+  }
+});
+
+// Get user's saved locations (protected by auth)
+app.get('/api/saved-locations', auth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const locations = await db.any(
+      'SELECT location_text FROM user_saved_locations WHERE user_id = $1 ORDER BY location_text',
+      [userId]
+    );
+    res.json(locations.map(loc => loc.location_text));
+  } catch (error) {
+    console.error('Error fetching saved locations:', error.message);
+    res.status(500).json({ error: 'Failed to fetch saved locations' });
+  }
+});
+
+// Save location to user's saved locations (protected by auth)
+const SAVED_LOCATION_BODY = {
+  location_text: { required: true, trim: true, maxLength: MAX_LOCATION_LENGTH }
+};
+
+// Geocodes a saved location, or returns null if it can't be found right now.
+// Saved locations are geocoded so nearby posts and forecast changes can be
+// notified; saving one doesn't depend on it.
+async function locateSavedLocation(locationText) {
+  try {
+    const [place] = await lookupPlaces(locationText, 1);
+    return place || null;
+  } catch (error) {
+    console.error(`Error geocoding saved location ${locationText}:`, error.message);
+    return null;
+  }
+}
+
+app.post('/api/saved-locations', auth, validate({ body: SAVED_LOCATION_BODY }), async (req, res) => {
+  const { location_text } = req.body;
+  try {
+    const userId = req.session.user.id;
+    const place = await locateSavedLocation(location_text);
+    await db.none(`
+      INSERT INTO user_saved_locations (user_id, location_text, latitude, longitude) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, location_text) DO NOTHING
+    `, [userId, location_text, place ? place.latitude : null, place ? place.longitude : null]);
+    res.json({ status: 'success', message: 'Location saved' });
+  } catch (error) {
+    console.error('Error saving location:', error.message);
+    res.status(500).json({ error: 'Failed to save location' });
+  }
+});
+
+// Delete location from user's saved locations (protected by auth)
+app.delete('/api/saved-locations', auth, validate({ body: SAVED_LOCATION_BODY }), async (req, res) => {
+  const { location_text } = req.body;
+  try {
+    const userId = req.session.user.id;
+    const result = await db.result(
+      'DELETE FROM user_saved_locations WHERE user_id = $1 AND location_text = $2',
+      [userId, location_text]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Location not found' });
+    }
+    res.json({ status: 'success', message: 'Location deleted' });
+  } catch (error) {
+    console.error('Error deleting location:', error.message);
+    res.status(500).json({ error: 'Failed to delete location' });
+  }
+});
+
+// Active alerts for each of the user's saved locations (protected by auth)
+app.get('/api/saved-locations/alerts', auth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const locations = await db.any(`
+      SELECT id, location_text, latitude, longitude FROM user_saved_locations
+      WHERE user_id = $1 ORDER BY location_text
+    `, [userId]);
+
+    const results = await Promise.all(locations.map(async ({ id, location_text, latitude, longitude }) => {
+      try {
+        // Locations are geocoded when saved; only those that couldn't be are looked up again
+        let place = latitude !== null && longitude !== null
+          ? { latitude: Number(latitude), longitude: Number(longitude) }
+          : null;
+        if (!place) {
+          [place] = await lookupPlaces(location_text, 1);
+          if (!place) {
+            return { location: location_text, alerts: [], error: 'Location not found' };
+          }
+          await db.none(
+            'UPDATE user_saved_locations SET latitude = $2, longitude = $3, geocode_failed_at = NULL WHERE id = $1',
+            [id, place.latitude, place.longitude]
+          );
+        }
+        const alerts = await weatherService.getAlerts(place.latitude, place.longitude);
+        return { location: location_text, alerts };
+      } catch (error) {
+        console.error(`Error fetching alerts for ${location_text}:`, error.message);
+        return { location: location_text, alerts: [], error: 'Failed to fetch weather alerts' };
+      }
+    }));
+
+    res.json(results);
+  } catch (error) {
+    console.error('Error fetching saved location alerts:', error.message);
+    res.status(500).json({ error: 'Failed to fetch saved location alerts' });
+  }
+});
+
+// How often saved locations are checked for forecast changes and weather alerts
+const SAVED_LOCATION_CHECK_INTERVAL_MS = Number(process.env.SAVED_LOCATION_CHECK_INTERVAL_MS || 30 * 60 * 1000); // 30 minutes
+
+// Checks saved locations for forecast changes and weather alerts, first
+// geocoding any that couldn't be geocoded when they were saved
+async function checkSavedLocations() {
+  await notificationService.geocodeSavedLocations(db, locateSavedLocation);
+  return notificationService.checkSavedLocations(db, weatherService);
+}
+
+// SQL condition leaving out notifications about posts the user can no longer
+// see; n is the notification and p its (left joined) post
+const VISIBLE_NOTIFICATION_SQL = `(n.post_id IS NULL OR ${visiblePostSql('n.user_id')})`;
+
+async function getUnreadNotificationCount(userId) {
+  const { count } = await db.one(`
+    SELECT COUNT(*)::int AS count
+    FROM notifications n
+    LEFT JOIN posts p ON p.id = n.post_id
+    WHERE n.user_id = $1 AND n.read_at IS NULL AND ${VISIBLE_NOTIFICATION_SQL}
+  `, [userId]);
+  return count;
+}
+
+// List the user's notifications, newest first (protected by auth)
+app.get('/api/notifications', auth, validate({
+  query: {
+    unread: { type: 'boolean' },
+    limit: { type: 'int', min: 1, max: 50, default: 20 },
+    cursor: { maxLength: 200 }
+  }
+}), async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const { unread, limit, cursor } = req.query;
+
+    const params = [userId];
+    let query = `
+      SELECT n.id, n.type, n.post_id, n.comment_id, n.data, n.read_at, n.created_at,
+        to_char(n.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_created_at,
+        actor.username AS actor_username, author.username AS post_author_username
+      FROM notifications n
+      LEFT JOIN users actor ON actor.id = n.actor_id
+      LEFT JOIN posts p ON p.id = n.post_id
+      LEFT JOIN users author ON author.id = p.user_id
+      WHERE n.user_id = $1 AND ${VISIBLE_NOTIFICATION_SQL}
+    `;
+    if (unread) {
+      query += ' AND n.read_at IS NULL';
+    }
+    if (cursor) {
+      const position = decodePostCursor(cursor);
+      if (!position) {
+        return sendValidationErrors(res, [INVALID_CURSOR]);
+      }
+      params.push(position.createdAt, position.id);
+      query += ` AND (n.created_at, n.id) < ($${params.length - 1}::timestamptz, $${params.length})`;
+    }
+    // Fetch one extra notification to know whether there is another page
+    params.push(limit + 1);
+    query += ` ORDER BY n.created_at DESC, n.id DESC LIMIT $${params.length}`;
+
+    const [rows, unreadCount, preferences] = await Promise.all([
+      db.any(query, params),
+      getUnreadNotificationCount(userId),
+      getPreferences(userId)
+    ]);
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
+
+    res.json({
+      notifications: pageRows.map(({ cursor_created_at, ...notification }) => ({
+        ...notification,
+        ...notificationService.describeNotification(notification, preferences),
+        read: notification.read_at !== null
+      })),
+      unread_count: unreadCount,
+      next_cursor: rows.length > limit ? encodePostCursor(lastRow.cursor_created_at, lastRow.id) : null
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// The number of unread notifications, for the nav's bell (protected by auth)
+app.get('/api/notifications/unread-count', auth, async (req, res) => {
+  try {
+    res.json({ unread_count: await getUnreadNotificationCount(req.session.user.id) });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+// Mark every notification as read (protected by auth)
+app.post('/api/notifications/read-all', auth, async (req, res) => {
+  try {
+    const result = await db.result(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.session.user.id]
+    );
+    res.json({ success: true, updated: result.rowCount, unread_count: 0 });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+// Mark a notification as read or unread (protected by auth, only the notified user)
+app.put('/api/notifications/:id', auth, validate({
+  params: { id: idParam('notification') },
+  body: { read: { type: 'boolean', required: true } }
+}), async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const notification = await db.oneOrNone(`
+      UPDATE notifications
+      SET read_at = CASE WHEN $3 THEN COALESCE(read_at, NOW()) ELSE NULL END
+      WHERE id = $1 AND user_id = $2
+      RETURNING id, read_at
+    `, [req.params.id, userId, req.body.read]);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({
+      success: true,
+      notification: { ...notification, read: notification.read_at !== null },
+      unread_count: await getUnreadNotificationCount(userId)
+    });
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+// Get the user's display preferences (protected by auth)
+app.get('/api/preferences', auth, async (req, res) => {
+  try {
+    res.json(await getPreferences(req.session.user.id));
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+// Update the user's display preferences; fields left out keep their value (protected by auth)
+app.put('/api/preferences', auth, validate({
+  body: {
+    temperature_unit: { enum: units.PREFERENCE_OPTIONS.temperature_unit },
+    wind_unit: { enum: units.PREFERENCE_OPTIONS.wind_unit },
+    time_format: { enum: units.PREFERENCE_OPTIONS.time_format },
+    // null (or an empty string) goes back to the browser's timezone / no default location
+    timezone: { nullable: true, allowEmpty: true, check: zone => !zone || units.isValidTimezone(zone) ? null : 'Unknown timezone' },
+    default_location: { nullable: true, allowEmpty: true, trim: true, maxLength: MAX_LOCATION_LENGTH }
+  }
+}), async (req, res) => {
+  const userId = req.session.user.id;
+  const body = req.body;
+
+  try {
+    const current = await getPreferences(userId);
+    const pick = (field) => body[field] !== undefined ? body[field] : current[field];
+
+    let defaultLocationId = null;
+    const defaultLocation = pick('default_location');
+    if (defaultLocation) {
+      const saved = await db.oneOrNone(
+        'SELECT id FROM user_saved_locations WHERE user_id = $1 AND location_text = $2',
+        [userId, defaultLocation]
+      );
+      if (!saved) {
+        return res.status(400).json({ error: 'Default location must be one of your saved locations' });
+      }
+      defaultLocationId = saved.id;
+    }
+
+    await db.none(`
+      INSERT INTO user_preferences (user_id, temperature_unit, wind_unit, time_format, timezone, default_location_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id) DO UPDATE SET
+        temperature_unit = EXCLUDED.temperature_unit,
+        wind_unit = EXCLUDED.wind_unit,
+        time_format = EXCLUDED.time_format,
+        timezone = EXCLUDED.timezone,
+        default_location_id = EXCLUDED.default_location_id,
+        updated_at = NOW()
+    `, [userId, pick('temperature_unit'), pick('wind_unit'), pick('time_format'), pick('timezone') || null, defaultLocationId]);
+
+    res.json(await getPreferences(userId));
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+// Set or clear the email address password reset links are sent to (protected by auth)
+app.put('/api/account/email', auth, validate({
+  body: { email: { nullable: true, trim: true, check: email => isValidEmail(email) ? null : 'Enter a valid email address' } }
+}), async (req, res) => {
+  const email = req.body.email || '';
+
+  try {
+    await db.none('UPDATE users SET email = $1 WHERE id = $2', [email || null, req.session.user.id]);
+    res.json({ success: true, email: email || null });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'That email address is already in use' });
+    }
+    console.error('Error updating email:', error);
+    res.status(500).json({ error: 'Failed to update email' });
+  }
+});
+
+// Change the user's password, re-checking the current one. Every other session
+// is signed out. (protected by auth)
+app.put('/api/account/password', auth, validate({
+  body: {
+    current_password: { required: true },
+    new_password: { required: true }
+  }
+}), async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  try {
+    const userId = req.session.user.id;
+    const user = await db.one('SELECT password FROM users WHERE id = $1', [userId]);
+    if (!(await bcrypt.compare(current_password, user.password))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+
+    const hash = await bcrypt.hash(new_password, 10);
+    await db.none('UPDATE users SET password = $1 WHERE id = $2', [hash, userId]);
+    const signedOut = await sessionStore.destroyAllForUser(userId, req.sessionID);
+    res.json({ success: true, message: 'Password changed', sessions_revoked: signedOut });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Delete the user's account after re-checking their password (protected by auth)
+app.delete('/api/account', auth, validate({ body: { password: { required: true } } }), async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    const userId = req.session.user.id;
+    const user = await db.one('SELECT password FROM users WHERE id = $1', [userId]);
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(403).json({ error: 'Password is incorrect' });
+    }
+
+    // Posts, comments, reactions, follows, preferences and sessions cascade with
+    // the user; the uploaded photos live outside the database
+    const images = await db.any(`
+      SELECT pi.filename, pi.thumb_filename
+      FROM post_images pi
+      JOIN posts p ON p.id = pi.post_id
+      WHERE p.user_id = $1
+    `, [userId]);
+    await db.none('DELETE FROM users WHERE id = $1', [userId]);
+    await removeStoredImages(images);
+
+    req.session.destroy((err) => {
+      if (err) {
+        console.error('Error ending session:', err);
+      }
+      res.json({ success: true, message: 'Account deleted' });
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// List the user's active sessions (protected by auth)
+app.get('/api/account/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listForUser(req.session.user.id);
+    res.json(sessions.map(({ sid, ...row }) => ({ ...row, current: sid === req.sessionID })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out every session except the current one (protected by auth)
+app.delete('/api/account/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await sessionStore.destroyAllForUser(req.session.user.id, req.sessionID);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Sign out one of the user's sessions (protected by auth)
+app.delete('/api/account/sessions/:id', auth, validate({ params: { id: idParam('session') } }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sessions = await sessionStore.listForUser(req.session.user.id);
+    const target = sessions.find(row => row.id === id);
+    if (!target) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (target.sid === req.sessionID) {
+      return req.session.destroy((err) => {
+        if (err) {
+          console.error('Error ending session:', err);
+          return res.status(500).json({ error: 'Failed to revoke session' });
+        }
+        res.json({ success: true, current: true });
+      });
+    }
+    await sessionStore.destroyForUser(req.session.user.id, id);
+    res.json({ success: true, current: false });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// ********************** Moderation ******************************************
+
+const REPORT_REASONS = ['spam', 'misleading', 'abusive', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+const MAX_MODERATION_REASON_LENGTH = 500;
+const MODERATION_REASON = { trim: true, maxLength: MAX_MODERATION_REASON_LENGTH };
+
+// Writes an entry to the moderation_actions audit log, in the action's transaction
+async function logModerationAction(t, moderatorId, action, { postId = null, userId = null, reason = null, details = null } = {}) {
+  await t.none(`
+    INSERT INTO moderation_actions (moderator_id, action, post_id, user_id, reason, details)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [moderatorId, action, postId, userId, reason || null, details]);
+}
+
+// Closes a post's open reports, as resolved (the post was acted on) or dismissed
+async function closeOpenReports(t, postId, moderatorId, status) {
+  const rows = await t.any(`
+    UPDATE post_reports SET status = $3, resolved_by = $2, resolved_at = NOW()
+    WHERE post_id = $1 AND status = 'open'
+    RETURNING id
+  `, [postId, moderatorId, status]);
+  return rows.map(row => row.id);
+}
+
+// Report a post to the moderators (protected by auth)
+app.post('/api/posts/:id/reports', auth, validate({
+  params: { id: idParam('post') },
+  body: {
+    reason: { required: true, enum: REPORT_REASONS },
+    details: { trim: true, maxLength: MAX_REPORT_DETAILS_LENGTH }
+  }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.session.user.id;
+    const { reason, details } = req.body;
+
+    const post = await findVisiblePost(postId, userId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (post.user_id === userId) {
+      return res.status(400).json({ error: 'You cannot report your own post' });
+    }
+
+    const report = await db.one(`
+      INSERT INTO post_reports (post_id, reporter_id, reason, details)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, post_id, reason, details, status, created_at
+    `, [postId, userId, reason, details || null]);
+    res.status(201).json({ success: true, report });
+  } catch (error) {
+    // post_reports_open_idx allows one open report per user and post
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'You have already reported this post' });
+    }
+    console.error('Error reporting post:', error);
+    res.status(500).json({ error: 'Failed to report post' });
+  }
+});
+
+// List reported posts with their reports, most reported first (moderators only)
+app.get('/api/moderation/reports', auth, requireRole('moderator'), validate({
+  query: {
+    status: { enum: REPORT_STATUSES, default: 'open' },
+    limit: { type: 'int', min: 1, max: 100, default: 50 }
+  }
+}), async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    const posts = await db.any(`
+      SELECT p.id, p.content, p.location, p.created_at, p.hidden_at, p.user_id,
+        u.username, u.role AS author_role, u.suspended_at AS author_suspended_at,
+        ${POST_IMAGES_COLUMN},
+        COUNT(r.id)::int AS report_count,
+        MIN(r.created_at) AS first_reported_at,
+        json_agg(json_build_object(
+          'id', r.id, 'reason', r.reason, 'details', r.details,
+          'reporter', ru.username, 'created_at', r.created_at
+        ) ORDER BY r.created_at) AS reports
+      FROM post_reports r
+      JOIN posts p ON p.id = r.post_id
+      JOIN users u ON u.id = p.user_id
+      JOIN users ru ON ru.id = r.reporter_id
+      WHERE r.status = $1
+      GROUP BY p.id, u.id
+      ORDER BY report_count DESC, first_reported_at ASC
+      LIMIT $2
+    `, [status, limit]);
+    res.json({ status, posts });
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ error: 'Failed to fetch reports' });
+  }
+});
+
+// List hidden posts, most recently hidden first (moderators only)
+app.get('/api/moderation/hidden-posts', auth, requireRole('moderator'), validate({
+  query: { limit: { type: 'int', min: 1, max: 100, default: 50 } }
+}), async (req, res) => {
+  try {
+    const posts = await db.any(`
+      SELECT p.id, p.content, p.location, p.created_at, p.hidden_at, p.user_id,
+        u.username, hu.username AS hidden_by_username, ${POST_IMAGES_COLUMN}
+      FROM posts p
+      JOIN users u ON u.id = p.user_id
+      LEFT JOIN users hu ON hu.id = p.hidden_by
+      WHERE p.hidden_at IS NOT NULL
+      ORDER BY p.hidden_at DESC
+      LIMIT $1
+    `, [req.query.limit]);
+    res.json({ posts });
+  } catch (error) {
+    console.error('Error fetching hidden posts:', error);
+    res.status(500).json({ error: 'Failed to fetch hidden posts' });
+  }
+});
+
+// Hide a post from everyone but its author, resolving its reports (moderators only)
+app.post('/api/moderation/posts/:id/hide', auth, requireRole('moderator'), validate({
+  params: { id: idParam('post') },
+  body: { reason: MODERATION_REASON }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const moderatorId = req.session.user.id;
+    const result = await db.tx(async t => {
+      const post = await t.oneOrNone('SELECT id, user_id, hidden_at FROM posts WHERE id = $1 FOR UPDATE', [postId]);
+      if (!post || post.hidden_at) {
+        return { post };
+      }
+      await t.none('UPDATE posts SET hidden_at = NOW(), hidden_by = $2 WHERE id = $1', [postId, moderatorId]);
+      const reportIds = await closeOpenReports(t, postId, moderatorId, 'resolved');
+      await logModerationAction(t, moderatorId, 'hide_post', {
+        postId, userId: post.user_id, reason: req.body.reason, details: { report_ids: reportIds }
+      });
+      return { post, hidden: true, resolvedReports: reportIds.length };
+    });
+
+    if (!result.post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (!result.hidden) {
+      return res.status(409).json({ error: 'Post is already hidden' });
+    }
+    res.json({ success: true, resolved_reports: result.resolvedReports });
+  } catch (error) {
+    console.error('Error hiding post:', error);
+    res.status(500).json({ error: 'Failed to hide post' });
+  }
+});
+
+// Show a hidden post again (moderators only)
+app.post('/api/moderation/posts/:id/restore', auth, requireRole('moderator'), validate({
+  params: { id: idParam('post') },
+  body: { reason: MODERATION_REASON }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const moderatorId = req.session.user.id;
+    const result = await db.tx(async t => {
+      const post = await t.oneOrNone('SELECT id, user_id, hidden_at FROM posts WHERE id = $1 FOR UPDATE', [postId]);
+      if (!post || !post.hidden_at) {
+        return { post };
+      }
+      await t.none('UPDATE posts SET hidden_at = NULL, hidden_by = NULL WHERE id = $1', [postId]);
+      await logModerationAction(t, moderatorId, 'restore_post', { postId, userId: post.user_id, reason: req.body.reason });
+      return { post, restored: true };
+    });
+
+    if (!result.post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (!result.restored) {
+      return res.status(409).json({ error: 'Post is not hidden' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error restoring post:', error);
+    res.status(500).json({ error: 'Failed to restore post' });
+  }
+});
+
+// Delete any post; the audit log keeps a copy of its text (moderators only)
+app.delete('/api/moderation/posts/:id', auth, requireRole('moderator'), validate({
+  params: { id: idParam('post') },
+  body: { reason: MODERATION_REASON }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const moderatorId = req.session.user.id;
+    const images = await getPostImages(postId);
+    const deleted = await db.tx(async t => {
+      const post = await t.oneOrNone(`
+        SELECT p.id, p.user_id, p.content, p.location, p.created_at, u.username
+        FROM posts p
+        JOIN users u ON u.id = p.user_id
+        WHERE p.id = $1
+        FOR UPDATE OF p
+      `, [postId]);
+      if (!post) {
+        return false;
+      }
+      const reportCount = await t.one('SELECT COUNT(*)::int AS count FROM post_reports WHERE post_id = $1', [postId]);
+      // Its reports, images, comments and reactions cascade
+      await t.none('DELETE FROM posts WHERE id = $1', [postId]);
+      await logModerationAction(t, moderatorId, 'delete_post', {
+        postId,
+        userId: post.user_id,
+        reason: req.body.reason,
+        details: {
+          username: post.username,
+          content: post.content,
+          location: post.location,
+          created_at: post.created_at,
+          report_count: reportCount.count
+        }
+      });
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    await removeStoredImages(images);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting post as moderator:', error);
+    res.status(500).json({ error: 'Failed to delete post' });
+  }
+});
+
+// Close a post's open reports without acting on it (moderators only)
+app.post('/api/moderation/posts/:id/dismiss', auth, requireRole('moderator'), validate({
+  params: { id: idParam('post') },
+  body: { reason: MODERATION_REASON }
+}), async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const moderatorId = req.session.user.id;
+    const reportIds = await db.tx(async t => {
+      const ids = await closeOpenReports(t, postId, moderatorId, 'dismissed');
+      if (ids.length > 0) {
+        await logModerationAction(t, moderatorId, 'dismiss_reports', {
+          postId, reason: req.body.reason, details: { report_ids: ids }
+        });
+      }
+      return ids;
+    });
+
+    if (reportIds.length === 0) {
+      return res.status(404).json({ error: 'Post has no open reports' });
+    }
+    res.json({ success: true, dismissed_reports: reportIds.length });
+  } catch (error) {
+    console.error('Error dismissing reports:', error);
+    res.status(500).json({ error: 'Failed to dismiss reports' });
+  }
+});
+
+/**
+ * Looks up the target of a user moderation action, responding 404 or 403
+ * unless the acting user outranks them (so moderators can't act on each other
+ * and nobody can act on themselves)
+ * @returns {Promise<Object|null>} { id, username, role, suspended_at } or null once responded
+ */
+async function findModeratableUser(req, res) {
+  const target = await db.oneOrNone('SELECT id, username, role, suspended_at FROM users WHERE id = $1', [req.params.id]);
+  if (!target) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (target.id === req.session.user.id || ROLES.indexOf(target.role) >= ROLES.indexOf(req.session.user.role)) {
+    res.status(403).json({ error: 'You can only moderate users with a lower role than yours' });
+    return null;
+  }
+  return target;
+}
+
+// Suspend a user: they are signed out everywhere and can't sign in (moderators only)
+app.post('/api/moderation/users/:id/suspend', auth, requireRole('moderator'), validate({
+  params: { id: idParam('user') },
+  body: { reason: { ...MODERATION_REASON, required: true } }
+}), async (req, res) => {
+  try {
+    const target = await findModeratableUser(req, res);
+    if (!target) return;
+    if (target.suspended_at) {
+      return res.status(409).json({ error: 'User is already suspended' });
+    }
+
+    const { reason } = req.body;
+    await db.tx(async t => {
+      await t.none('UPDATE users SET suspended_at = NOW(), suspension_reason = $2 WHERE id = $1', [target.id, reason]);
+      await logModerationAction(t, req.session.user.id, 'suspend_user', { userId: target.id, reason, details: { username: target.username } });
+    });
+    const signedOut = await sessionStore.destroyAllForUser(target.id, null);
+    res.json({ success: true, sessions_revoked: signedOut });
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+// Lift a user's suspension (moderators only)
+app.post('/api/moderation/users/:id/unsuspend', auth, requireRole('moderator'), validate({
+  params: { id: idParam('user') },
+  body: { reason: MODERATION_REASON }
+}), async (req, res) => {
+  try {
+    const target = await findModeratableUser(req, res);
+    if (!target) return;
+    if (!target.suspended_at) {
+      return res.status(409).json({ error: 'User is not suspended' });
+    }
+
+    await db.tx(async t => {
+      await t.none('UPDATE users SET suspended_at = NULL, suspension_reason = NULL WHERE id = $1', [target.id]);
+      await logModerationAction(t, req.session.user.id, 'unsuspend_user', {
+        userId: target.id, reason: req.body.reason, details: { username: target.username }
+      });
+    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error lifting suspension:', error);
+    res.status(500).json({ error: 'Failed to lift suspension' });
+  }
+});
+
+// Change a user's role (admins only)
+app.put('/api/admin/users/:id/role', auth, requireRole('admin'), validate({
+  params: { id: idParam('user') },
+  body: { role: { required: true, enum: ROLES } }
+}), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const target = await db.oneOrNone('SELECT id, username, role FROM users WHERE id = $1', [req.params.id]);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // Another admin has to do it, so the last admin can't demote themselves by mistake
+    if (target.id === req.session.user.id) {
+      return res.status(403).json({ error: 'You cannot change your own role' });
+    }
+
+    if (target.role !== role) {
+      await db.tx(async t => {
+        await t.none('UPDATE users SET role = $2 WHERE id = $1', [target.id, role]);
+        await logModerationAction(t, req.session.user.id, 'change_role', {
+          userId: target.id, details: { username: target.username, from: target.role, to: role }
+        });
+      });
+    }
+    res.json({ success: true, user: { id: target.id, username: target.username, role } });
+  } catch (error) {
+    console.error('Error changing role:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// The moderation audit log, newest first (moderators only)
+app.get('/api/moderation/actions', auth, requireRole('moderator'), validate({
+  query: {
+    limit: { type: 'int', min: 1, max: 200, default: 50 },
+    user_id: { type: 'int', min: 1, max: MAX_INT },
+    post_id: { type: 'int', min: 1, max: MAX_INT }
+  }
+}), async (req, res) => {
+  try {
+    const { limit, user_id, post_id } = req.query;
+    const actions = await db.any(`
+      SELECT a.id, a.action, a.post_id, a.user_id, a.reason, a.details, a.created_at,
+        a.moderator_id, m.username AS moderator_username, u.username
+      FROM moderation_actions a
+      LEFT JOIN users m ON m.id = a.moderator_id
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE ($2::int IS NULL OR a.user_id = $2) AND ($3::int IS NULL OR a.post_id = $3)
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $1
+    `, [limit, user_id ?? null, post_id ?? null]);
+    res.json({ actions });
+  } catch (error) {
+    console.error('Error fetching moderation log:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation log' });
+  }
+});
+
+// Verify table creation (protected by auth)
+app.get('/api/verify-table', auth, async (req, res) => {
+  try {
+    const result = await db.any(`
+      SELECT column_name, data_type 
+      FROM information_schema.columns 
       WHERE table_name = 'user_saved_locations'
       ORDER BY ordinal_position;
     `);
@@ -651,12 +3252,20 @@ module.exports = app;
 
 // Start server if this is the main module
 if (require.main === module) {
-  ensureSchema()
+  // The schema is managed by migrations (npm run migrate); refuse to run against an outdated one
+  migrations.assertNoPendingMigrations(db)
     .then(() => {
       app.listen(3000, () => console.log('Server listening on 3000'));
+      if (SAVED_LOCATION_CHECK_INTERVAL_MS > 0) {
+        const timer = setInterval(() => {
+          checkSavedLocations().catch(error => console.error('Error checking saved locations:', error));
+        }, SAVED_LOCATION_CHECK_INTERVAL_MS);
+        // Don't keep the process alive just to check forecasts
+        timer.unref();
+      }
     })
     .catch((e) => {
-      console.error('Failed to init schema:', e.message);
+      console.error('Failed to start:', e.message);
       process.exit(1);
     });
 }
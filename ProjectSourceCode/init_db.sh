@@ -6,7 +6,5 @@
 # TODO: Set your PostgreSQL URI - Use the External Database URL from the Render dashboard
 PG_URI=${DATABASE_URL}
 echo ${DATABASE_URL}
-for file in init_data/*.sql; do
-    echo "Executing $file..."
-    psql "$PG_URI" -f "$file"
-done
\ No newline at end of file
+# Apply the schema migrations in migrations/ (services/db.js reads DATABASE_URL)
+DATABASE_URL="$PG_URI" npm run migrate
\ No newline at end of file
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS posts;
+DROP TABLE IF EXISTS user_saved_locations;
+DROP TABLE IF EXISTS locations;
+DROP TABLE IF EXISTS users;
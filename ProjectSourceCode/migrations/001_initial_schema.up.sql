@@ -1,3 +1,6 @@
+-- The schema as it was before migrations. Databases created back then already
+-- have these tables, so the first migrations only add what is missing.
+
 CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     username TEXT UNIQUE NOT NULL,
@@ -16,6 +19,10 @@ CREATE TABLE IF NOT EXISTS user_saved_locations (
     location_text TEXT NOT NULL
 );
 
+ALTER TABLE user_saved_locations DROP CONSTRAINT IF EXISTS user_saved_locations_user_location_unique;
+ALTER TABLE user_saved_locations
+    ADD CONSTRAINT user_saved_locations_user_location_unique UNIQUE (user_id, location_text);
+
 CREATE TABLE IF NOT EXISTS posts (
     id SERIAL PRIMARY KEY,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -26,15 +33,3 @@ CREATE TABLE IF NOT EXISTS posts (
     longitude DECIMAL,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
-
-DO $$ 
-BEGIN
-IF NOT EXISTS (
-    SELECT 1 FROM pg_constraint 
-    WHERE conname = 'user_saved_locations_user_location_unique'
-) THEN
-    ALTER TABLE user_saved_locations 
-    ADD CONSTRAINT user_saved_locations_user_location_unique 
-    UNIQUE(user_id, location_text);
-END IF;
-END $$;
\ No newline at end of file
@@ -0,0 +1,5 @@
+ALTER TABLE locations
+    DROP COLUMN city,
+    DROP COLUMN state,
+    DROP COLUMN latitude,
+    DROP COLUMN longitude;
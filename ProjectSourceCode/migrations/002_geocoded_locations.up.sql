@@ -0,0 +1,6 @@
+-- Locations found through the geocoder keep their coordinates
+ALTER TABLE locations
+    ADD COLUMN IF NOT EXISTS city TEXT,
+    ADD COLUMN IF NOT EXISTS state TEXT,
+    ADD COLUMN IF NOT EXISTS latitude DECIMAL,
+    ADD COLUMN IF NOT EXISTS longitude DECIMAL;
@@ -0,0 +1,7 @@
+ALTER TABLE posts
+    DROP COLUMN weather_temperature,
+    DROP COLUMN weather_temperature_unit,
+    DROP COLUMN weather_short_forecast,
+    DROP COLUMN weather_wind,
+    DROP COLUMN weather_humidity,
+    DROP COLUMN weather_captured_at;
@@ -0,0 +1,8 @@
+-- The weather at a post's location when it was created
+ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS weather_temperature INTEGER,
+    ADD COLUMN IF NOT EXISTS weather_temperature_unit TEXT,
+    ADD COLUMN IF NOT EXISTS weather_short_forecast TEXT,
+    ADD COLUMN IF NOT EXISTS weather_wind TEXT,
+    ADD COLUMN IF NOT EXISTS weather_humidity INTEGER,
+    ADD COLUMN IF NOT EXISTS weather_captured_at TIMESTAMPTZ;
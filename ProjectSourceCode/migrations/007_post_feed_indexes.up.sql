@@ -0,0 +1,7 @@
+-- Feed pagination walks posts in (created_at, id) order
+CREATE INDEX IF NOT EXISTS posts_created_at_id_idx ON posts(created_at DESC, id DESC);
+
+-- Radius and bounding-box searches narrow posts down by their coordinates
+CREATE INDEX IF NOT EXISTS posts_coordinates_idx ON posts
+    USING gist (point(longitude::float8, latitude::float8))
+    WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Only a post's first image fits back into posts
+ALTER TABLE posts ADD COLUMN image_filename TEXT;
+
+UPDATE posts p
+SET image_filename = pi.filename
+FROM post_images pi
+WHERE pi.post_id = p.id AND pi.position = 0;
+
+DROP TABLE post_images;
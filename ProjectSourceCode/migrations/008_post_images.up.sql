@@ -0,0 +1,27 @@
+-- Each uploaded photo is stored as a display size (filename) and a thumbnail
+CREATE TABLE IF NOT EXISTS post_images (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    thumb_filename TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS post_images_post_id_position_idx ON post_images(post_id, position);
+
+-- Posts used to hold a single image in image_filename (and briefly a thumbnail
+-- in image_thumb_filename); move those into post_images
+ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS image_filename TEXT,
+    ADD COLUMN IF NOT EXISTS image_thumb_filename TEXT;
+
+INSERT INTO post_images (post_id, filename, thumb_filename, position)
+    SELECT id, image_filename, image_thumb_filename, 0
+    FROM posts
+    WHERE image_filename IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM post_images pi WHERE pi.post_id = posts.id);
+
+ALTER TABLE posts
+    DROP COLUMN image_filename,
+    DROP COLUMN image_thumb_filename;
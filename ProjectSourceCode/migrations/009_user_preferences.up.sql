@@ -0,0 +1,11 @@
+-- Display preferences. Users without a row get the defaults (°F, mph, 12-hour
+-- time, the browser's timezone, no default location).
+CREATE TABLE user_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    temperature_unit TEXT NOT NULL DEFAULT 'F' CHECK (temperature_unit IN ('F', 'C')),
+    wind_unit TEXT NOT NULL DEFAULT 'mph' CHECK (wind_unit IN ('mph', 'km/h')),
+    time_format TEXT NOT NULL DEFAULT '12h' CHECK (time_format IN ('12h', '24h')),
+    timezone TEXT,
+    default_location_id INTEGER REFERENCES user_saved_locations(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,17 @@
+-- Login sessions, stored by services/sessionStore so they survive restarts and
+-- users can see and revoke where they are signed in. id is the public handle;
+-- sid is the secret cookie value and never leaves the server.
+CREATE TABLE sessions (
+    sid TEXT PRIMARY KEY,
+    id SERIAL UNIQUE NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    sess JSONB NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    user_agent TEXT,
+    ip TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX sessions_user_id_idx ON sessions (user_id);
+CREATE INDEX sessions_expires_at_idx ON sessions (expires_at);
@@ -0,0 +1,14 @@
+-- Audit log of sign-in attempts, also used to lock out a username after
+-- repeated failures. password_reset rows restart the failure count.
+CREATE TABLE login_attempts (
+    id SERIAL PRIMARY KEY,
+    username TEXT NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    outcome TEXT NOT NULL CHECK (outcome IN ('success', 'invalid_password', 'unknown_user', 'locked', 'rate_limited', 'password_reset')),
+    ip TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX login_attempts_username_created_at_idx ON login_attempts (username, created_at);
+CREATE INDEX login_attempts_ip_created_at_idx ON login_attempts (ip, created_at);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS posts_user_id_idx;
+DROP INDEX IF EXISTS users_username_search_idx;
+DROP INDEX IF EXISTS posts_search_idx;
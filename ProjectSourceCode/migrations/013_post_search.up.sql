@@ -0,0 +1,14 @@
+-- Full-text search ranks matches in a post's content above matches in its location.
+-- The expression must stay identical to POST_SEARCH_DOCUMENT in index.js for
+-- searches to use the index.
+CREATE INDEX IF NOT EXISTS posts_search_idx ON posts USING gin ((
+    setweight(to_tsvector('english', COALESCE(content, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(location, '')), 'B')
+));
+
+-- Author names are matched word for word, without stemming
+CREATE INDEX IF NOT EXISTS users_username_search_idx ON users
+    USING gin (to_tsvector('simple', username));
+
+-- Lets posts by a matching author be found without scanning every post
+CREATE INDEX IF NOT EXISTS posts_user_id_idx ON posts(user_id);
@@ -0,0 +1,32 @@
+-- Hashtags used in posts, stored in lowercase (see public/js/hashtags.js)
+CREATE TABLE IF NOT EXISTS tags (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS post_tags (
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (post_id, tag_id)
+);
+
+-- Tag feeds and trending counts start from the tag
+CREATE INDEX IF NOT EXISTS post_tags_tag_id_idx ON post_tags(tag_id, post_id);
+
+-- Tag the posts written so far, with the same rules the app applies to new ones
+CREATE TEMPORARY TABLE existing_post_tags ON COMMIT DROP AS
+SELECT DISTINCT p.id AS post_id, lower(m[1]) AS name
+FROM posts p,
+    regexp_matches(COALESCE(p.content, ''), '(?<![[:alnum:]_&])#([[:alnum:]_]+)', 'g') AS m
+WHERE length(m[1]) <= 50 AND m[1] ~ '[[:alpha:]]';
+
+INSERT INTO tags (name)
+SELECT DISTINCT name FROM existing_post_tags
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO post_tags (post_id, tag_id)
+SELECT e.post_id, t.id
+FROM existing_post_tags e
+JOIN tags t ON t.name = e.name
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS moderation_actions;
+DROP TABLE IF EXISTS post_reports;
+ALTER TABLE posts DROP COLUMN IF EXISTS hidden_by;
+ALTER TABLE posts DROP COLUMN IF EXISTS hidden_at;
+DELETE FROM login_attempts WHERE outcome = 'suspended';
+ALTER TABLE login_attempts DROP CONSTRAINT login_attempts_outcome_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_outcome_check
+    CHECK (outcome IN ('success', 'invalid_password', 'unknown_user', 'locked', 'rate_limited', 'password_reset'));
+ALTER TABLE users DROP COLUMN IF EXISTS suspension_reason;
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_at;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
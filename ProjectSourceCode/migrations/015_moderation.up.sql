@@ -0,0 +1,52 @@
+-- Moderators work through reports and can hide posts and suspend users;
+-- admins can also change roles. Suspended users can't sign in.
+ALTER TABLE users
+    ADD COLUMN role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin')),
+    ADD COLUMN suspended_at TIMESTAMPTZ,
+    ADD COLUMN suspension_reason TEXT;
+
+-- Sign-ins refused because the account is suspended
+ALTER TABLE login_attempts DROP CONSTRAINT login_attempts_outcome_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_outcome_check
+    CHECK (outcome IN ('success', 'invalid_password', 'unknown_user', 'locked', 'rate_limited', 'password_reset', 'suspended'));
+
+-- Hidden posts are only shown to their author (and in the moderation queue)
+ALTER TABLE posts
+    ADD COLUMN hidden_at TIMESTAMPTZ,
+    ADD COLUMN hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Reports of posts, open until a moderator acts on the post or dismisses them
+CREATE TABLE post_reports (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL CHECK (reason IN ('spam', 'misleading', 'abusive', 'other')),
+    details TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A user can only have one open report per post
+CREATE UNIQUE INDEX post_reports_open_idx ON post_reports (post_id, reporter_id) WHERE status = 'open';
+CREATE INDEX post_reports_status_created_at_idx ON post_reports (status, created_at);
+
+-- Audit log of every moderation action. Targets are plain ids, not foreign
+-- keys, so entries outlive the posts and users they are about.
+CREATE TABLE moderation_actions (
+    id SERIAL PRIMARY KEY,
+    moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action TEXT NOT NULL CHECK (action IN (
+        'hide_post', 'restore_post', 'delete_post', 'dismiss_reports',
+        'suspend_user', 'unsuspend_user', 'change_role'
+    )),
+    post_id INTEGER,
+    user_id INTEGER,
+    report_id INTEGER,
+    reason TEXT,
+    details JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX moderation_actions_created_at_idx ON moderation_actions (created_at);
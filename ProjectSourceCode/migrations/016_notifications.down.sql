@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS notifications;
+ALTER TABLE user_saved_locations DROP COLUMN IF EXISTS forecast_checked_at;
+ALTER TABLE user_saved_locations DROP COLUMN IF EXISTS forecast_summary;
+ALTER TABLE user_saved_locations DROP COLUMN IF EXISTS geocode_failed_at;
+ALTER TABLE user_saved_locations DROP COLUMN IF EXISTS longitude;
+ALTER TABLE user_saved_locations DROP COLUMN IF EXISTS latitude;
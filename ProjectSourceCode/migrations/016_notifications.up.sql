@@ -0,0 +1,35 @@
+-- Saved locations are geocoded once so they can be matched against nearby
+-- posts, and remember the last forecast summary so threshold crossings
+-- (e.g. freezing temperatures moving into the forecast) can be noticed.
+-- geocode_failed_at backs off locations the geocoder couldn't find.
+ALTER TABLE user_saved_locations
+    ADD COLUMN latitude DECIMAL,
+    ADD COLUMN longitude DECIMAL,
+    ADD COLUMN geocode_failed_at TIMESTAMPTZ,
+    ADD COLUMN forecast_summary JSONB,
+    ADD COLUMN forecast_checked_at TIMESTAMPTZ;
+
+-- In-app notifications. What a notification is about is referenced by
+-- foreign key, so it disappears along with the post, comment or saved
+-- location; data holds what is needed to describe it (e.g. the alert headline).
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN (
+        'post_comment', 'comment_reply', 'new_follower',
+        'nearby_post', 'forecast_change', 'weather_alert'
+    )),
+    actor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    saved_location_id INTEGER REFERENCES user_saved_locations(id) ON DELETE CASCADE,
+    data JSONB,
+    -- Events that must only be notified once (a follow, a weather alert) set a key
+    dedupe_key TEXT,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX notifications_user_dedupe_key_idx ON notifications (user_id, dedupe_key) WHERE dedupe_key IS NOT NULL;
+CREATE INDEX notifications_user_created_at_idx ON notifications (user_id, created_at DESC, id DESC);
+CREATE INDEX notifications_user_unread_idx ON notifications (user_id) WHERE read_at IS NULL;
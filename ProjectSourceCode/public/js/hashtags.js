@@ -0,0 +1,78 @@
+/**
+ * Hashtag rules shared by the server, which tags posts with them, and the
+ * browser, where it is served as /js/hashtags.js and exposed as window.Hashtags
+ * to link tags in post text.
+ *
+ * A hashtag is # followed by letters, digits and underscores, with at least one
+ * letter and at most MAX_TAG_LENGTH characters, not directly after a word
+ * character or & (so "a#b" and "&#39;" aren't tags). Tags are compared in
+ * lowercase, so #SnowDay and #snowday are the same tag.
+ * Migration 014 applies the same rules to posts written before tagging existed.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Hashtags = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MAX_TAG_LENGTH = 50;
+
+  const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+
+  /**
+   * Returns a tag's stored form, with or without its leading #
+   * @param {string} tag - e.g. "#SnowDay" or "snowday"
+   * @returns {string|null} e.g. "snowday", or null if it isn't a valid tag
+   */
+  function normalizeTag(tag) {
+    if (typeof tag !== 'string') return null;
+    const name = tag.replace(/^#/, '').normalize('NFC').toLowerCase();
+    if (name.length === 0 || name.length > MAX_TAG_LENGTH ||
+        !/^[\p{L}\p{N}_]+$/u.test(name) || !/\p{L}/u.test(name)) {
+      return null;
+    }
+    return name;
+  }
+
+  /**
+   * Splits text into plain runs and hashtags, for rendering tags as links
+   * @param {string} text - Post text
+   * @returns {Array<Object>} [{ text, tag }] in order, where tag is the
+   *   normalized name for a hashtag and null for plain text
+   */
+  function splitHashtags(text) {
+    const parts = [];
+    let last = 0;
+    for (const match of String(text || '').matchAll(HASHTAG_PATTERN)) {
+      const tag = normalizeTag(match[1]);
+      if (!tag) continue;
+      if (match.index > last) {
+        parts.push({ text: text.slice(last, match.index), tag: null });
+      }
+      parts.push({ text: match[0], tag });
+      last = match.index + match[0].length;
+    }
+    if (last < String(text || '').length) {
+      parts.push({ text: text.slice(last), tag: null });
+    }
+    return parts;
+  }
+
+  /**
+   * Lists the distinct tags in a text
+   * @param {string} text - Post text
+   * @returns {Array<string>} Normalized tag names, in order of first use
+   */
+  function parseHashtags(text) {
+    const tags = splitHashtags(text).map(part => part.tag).filter(Boolean);
+    return [...new Set(tags)];
+  }
+
+  return {
+    MAX_TAG_LENGTH,
+    normalizeTag,
+    splitHashtags,
+    parseHashtags
+  };
+});
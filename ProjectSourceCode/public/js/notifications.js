@@ -0,0 +1,99 @@
+/**
+ * The nav's notification bell: shows the unread count, refreshed every minute
+ * while the page is visible, and lists the latest notifications when opened.
+ */
+(function () {
+  const menu = document.getElementById('notifications-menu');
+  if (!menu) return;
+
+  const toggle = menu.querySelector('[data-bs-toggle="dropdown"]');
+  const badge = document.getElementById('notifications-badge');
+  const list = document.getElementById('notifications-list');
+  const readAllButton = document.getElementById('notifications-read-all');
+  const REFRESH_INTERVAL_MS = 60 * 1000;
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+
+  function showUnreadCount(count) {
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.classList.toggle('d-none', count === 0);
+    toggle.setAttribute('aria-label', count > 0 ? `Notifications (${count} unread)` : 'Notifications');
+  }
+
+  async function refreshUnreadCount() {
+    try {
+      const response = await fetch('/api/notifications/unread-count');
+      if (!response.ok) return;
+      const data = await response.json();
+      showUnreadCount(data.unread_count);
+    } catch (error) {
+      console.error('Error fetching notification count:', error);
+    }
+  }
+
+  function notificationHtml(notification) {
+    return `
+      <a href="${escapeHtml(notification.link)}" class="list-group-item list-group-item-action notification-item${notification.read ? '' : ' list-group-item-light fw-semibold'}"
+        data-notification-id="${notification.id}" data-read="${notification.read}">
+        <div class="small">${escapeHtml(notification.message)}</div>
+        <small class="text-muted fw-normal">${Units.formatDateTime(notification.created_at, window.userPreferences)}</small>
+      </a>
+    `;
+  }
+
+  async function loadNotifications() {
+    try {
+      const response = await fetch('/api/notifications?limit=10');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      showUnreadCount(data.unread_count);
+      list.innerHTML = data.notifications.length === 0
+        ? '<p class="text-muted small px-3 py-2 mb-0">No notifications yet.</p>'
+        : `<div class="list-group list-group-flush">${data.notifications.map(notificationHtml).join('')}</div>`;
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+      list.innerHTML = '<p class="text-danger small px-3 py-2 mb-0">Could not load notifications.</p>';
+    }
+  }
+
+  menu.addEventListener('show.bs.dropdown', loadNotifications);
+
+  // Mark a notification read before following its link
+  list.addEventListener('click', async (e) => {
+    const item = e.target.closest('.notification-item');
+    if (!item || item.dataset.read === 'true') return;
+    e.preventDefault();
+    try {
+      await fetch(`/api/notifications/${item.dataset.notificationId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ read: true })
+      });
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+    }
+    window.location.href = item.getAttribute('href');
+  });
+
+  readAllButton.addEventListener('click', async () => {
+    try {
+      const response = await fetch('/api/notifications/read-all', { method: 'POST' });
+      if (response.ok) {
+        await loadNotifications();
+      }
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  });
+
+  refreshUnreadCount();
+  setInterval(() => {
+    if (document.visibilityState === 'visible') refreshUnreadCount();
+  }, REFRESH_INTERVAL_MS);
+})();
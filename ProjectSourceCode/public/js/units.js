@@ -0,0 +1,182 @@
+/**
+ * Unit conversion and date formatting driven by a user's preferences. Shared by
+ * the server (Handlebars helpers) and the browser, where it is served as
+ * /js/units.js and exposed as window.Units.
+ *
+ * Preferences use the shape returned by /api/preferences:
+ * { temperature_unit, wind_unit, time_format, timezone, default_location }.
+ * A null timezone means the runtime's own (the browser's, on the client).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Units = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_PREFERENCES = {
+    temperature_unit: 'F',
+    wind_unit: 'mph',
+    time_format: '12h',
+    timezone: null,
+    default_location: null
+  };
+
+  // Allowed values of each choice preference
+  const PREFERENCE_OPTIONS = {
+    temperature_unit: ['F', 'C'],
+    wind_unit: ['mph', 'km/h'],
+    time_format: ['12h', '24h']
+  };
+
+  const KM_PER_MILE = 1.609344;
+
+  function withDefaults(prefs) {
+    return Object.assign({}, DEFAULT_PREFERENCES, prefs || {});
+  }
+
+  /**
+   * Checks that a timezone is an IANA name this runtime knows, e.g. "America/Denver"
+   * @param {string} timezone - Timezone name
+   * @returns {boolean} True if dates can be formatted in the timezone
+   */
+  function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone === '') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Converts a temperature between °F and °C
+   * @param {number} value - Temperature
+   * @param {string} fromUnit - 'F' or 'C'
+   * @param {string} toUnit - 'F' or 'C'
+   * @returns {number|null} Converted temperature rounded to a whole degree, or null
+   */
+  function convertTemperature(value, fromUnit, toUnit) {
+    if (value === null || value === undefined || value === '' || isNaN(Number(value))) return null;
+    const temperature = Number(value);
+    const from = (fromUnit || 'F').toUpperCase();
+    const to = (toUnit || 'F').toUpperCase();
+    if (from === to) return Math.round(temperature);
+    return Math.round(to === 'C' ? (temperature - 32) * 5 / 9 : temperature * 9 / 5 + 32);
+  }
+
+  /**
+   * Formats a temperature in the preferred unit
+   * @param {number} value - Temperature
+   * @param {string} fromUnit - Unit of value, 'F' or 'C' (default 'F')
+   * @param {Object} prefs - User preferences
+   * @param {Object} options - { unit: false } leaves the unit letter off ("32°")
+   * @returns {string} e.g. "0°C", or '' if there is no temperature
+   */
+  function formatTemperature(value, fromUnit, prefs, options) {
+    const unit = withDefaults(prefs).temperature_unit;
+    const converted = convertTemperature(value, fromUnit, unit);
+    if (converted === null) return '';
+    return options && options.unit === false ? `${converted}°` : `${converted}°${unit}`;
+  }
+
+  /**
+   * Formats an NWS wind description such as "5 to 10 mph" or "10 mph NW" in the
+   * preferred unit. Text without a speed in mph is returned unchanged.
+   * @param {string} text - Wind description
+   * @param {Object} prefs - User preferences
+   * @returns {string} e.g. "8 to 16 km/h"
+   */
+  function formatWind(text, prefs) {
+    if (!text) return '';
+    if (withDefaults(prefs).wind_unit !== 'km/h' || !/\bmph\b/.test(text)) return text;
+    return text
+      .replace(/\d+(\.\d+)?/g, speed => String(Math.round(Number(speed) * KM_PER_MILE)))
+      .replace(/\bmph\b/g, 'km/h');
+  }
+
+  function dateFormatOptions(prefs, options) {
+    const { time_format, timezone } = withDefaults(prefs);
+    const formatOptions = Object.assign({}, options);
+    if (formatOptions.hour) {
+      formatOptions.hourCycle = time_format === '24h' ? 'h23' : 'h12';
+    }
+    if (timezone) {
+      formatOptions.timeZone = timezone;
+    }
+    return formatOptions;
+  }
+
+  function toDate(date) {
+    if (!date) return null;
+    const d = date instanceof Date ? date : new Date(date);
+    return isNaN(d.getTime()) ? null : d;
+  }
+
+  /**
+   * Formats a time of day in the preferred clock and timezone
+   * @param {Date|string} date - Date or ISO string
+   * @param {Object} prefs - User preferences
+   * @param {Object} options - Intl options (default: hours and minutes)
+   * @returns {string} e.g. "3:05 PM" or "15:05"
+   */
+  function formatTime(date, prefs, options) {
+    const d = toDate(date);
+    if (!d) return '';
+    const timeOptions = options || { hour: '2-digit', minute: '2-digit' };
+    return d.toLocaleTimeString(withDefaults(prefs).locale, dateFormatOptions(prefs, timeOptions));
+  }
+
+  /**
+   * Formats a calendar date in the preferred timezone
+   * @param {Date|string} date - Date or ISO string
+   * @param {Object} prefs - User preferences
+   * @param {Object} options - Intl options (default: locale's short date)
+   * @returns {string} e.g. "11/20/2025", or "Thu" for { weekday: 'short' }
+   */
+  function formatDate(date, prefs, options) {
+    const d = toDate(date);
+    if (!d) return '';
+    return d.toLocaleDateString(withDefaults(prefs).locale, dateFormatOptions(prefs, options || {}));
+  }
+
+  /**
+   * Formats a date and time in the preferred clock and timezone
+   * @param {Date|string} date - Date or ISO string
+   * @param {Object} prefs - User preferences
+   * @param {Object} dateOptions - Intl options for the date part (default: locale's short date)
+   * @returns {string} e.g. "11/20/2025 3:05 PM"
+   */
+  function formatDateTime(date, prefs, dateOptions) {
+    const d = toDate(date);
+    if (!d) return '';
+    return `${formatDate(d, prefs, dateOptions)} ${formatTime(d, prefs)}`;
+  }
+
+  /**
+   * Checks whether two dates fall on the same calendar day in the preferred timezone
+   * @param {Date|string} a - Date or ISO string
+   * @param {Date|string} b - Date or ISO string
+   * @param {Object} prefs - User preferences
+   * @returns {boolean}
+   */
+  function isSameDay(a, b, prefs) {
+    const options = dateFormatOptions(prefs, { year: 'numeric', month: '2-digit', day: '2-digit' });
+    const day = date => toDate(date).toLocaleDateString('en-US', options);
+    return day(a) === day(b);
+  }
+
+  return {
+    DEFAULT_PREFERENCES,
+    PREFERENCE_OPTIONS,
+    isValidTimezone,
+    convertTemperature,
+    formatTemperature,
+    formatWind,
+    formatTime,
+    formatDate,
+    formatDateTime,
+    isSameDay
+  };
+});
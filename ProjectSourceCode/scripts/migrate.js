@@ -0,0 +1,52 @@
+// Applies or rolls back database migrations.
+//
+//   npm run migrate                  apply every pending migration
+//   npm run migrate -- up [version]  apply pending migrations up to a version
+//   npm run migrate:rollback         roll back the last migration
+//   npm run migrate -- down [steps]  roll back the last <steps> migrations
+//   npm run migrate:status           list applied and pending migrations
+
+const { db, pgp } = require('../services/db');
+const migrations = require('../services/migrations');
+
+async function status() {
+  const applied = await migrations.getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(row => row.version));
+  migrations.loadMigrations().forEach(migration => {
+    const row = applied.find(r => r.version === migration.version);
+    const state = appliedVersions.has(migration.version)
+      ? `applied ${row.applied_at.toISOString()}`
+      : 'pending';
+    console.log(`${migration.version}_${migration.name}  ${state}`);
+  });
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'up') {
+    const applied = await migrations.migrateUp(db, { to: arg || null });
+    applied.forEach(m => console.log(`Applied ${m.version}_${m.name}`));
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : parseInt(arg);
+    if (isNaN(steps) || steps < 1) {
+      throw new Error('down takes a positive number of steps');
+    }
+    const rolledBack = await migrations.migrateDown(db, { steps });
+    rolledBack.forEach(m => console.log(`Rolled back ${m.version}_${m.name}`));
+    console.log(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s)` : 'No migrations to roll back');
+  } else if (command === 'status') {
+    await status();
+  } else {
+    throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+}
+
+main()
+  .then(() => pgp.end())
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    pgp.end();
+    process.exit(1);
+  });
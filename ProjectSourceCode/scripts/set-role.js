@@ -0,0 +1,38 @@
+// Sets a user's role from the command line, e.g. to make the first admin, who
+// can then promote moderators from their profile pages.
+//
+//   npm run set-role -- <username> <user|moderator|admin>
+//
+// The change is written to the moderation audit log with no moderator.
+
+const { db, pgp } = require('../services/db');
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+async function main() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <username> <${ROLES.join('|')}>`);
+  }
+
+  await db.tx(async t => {
+    const user = await t.oneOrNone('SELECT id, role FROM users WHERE username = $1', [username]);
+    if (!user) {
+      throw new Error(`No user named ${username}`);
+    }
+    await t.none('UPDATE users SET role = $2 WHERE id = $1', [user.id, role]);
+    await t.none(`
+      INSERT INTO moderation_actions (moderator_id, action, user_id, details)
+      VALUES (NULL, 'change_role', $1, $2)
+    `, [user.id, { username, from: user.role, to: role, source: 'set-role script' }]);
+  });
+  console.log(`${username} is now ${role === 'admin' ? 'an' : 'a'} ${role}. The nav shows them the Moderation link from their next sign-in.`);
+}
+
+main()
+  .then(() => pgp.end())
+  .catch((error) => {
+    console.error('Setting role failed:', error.message);
+    pgp.end();
+    process.exit(1);
+  });
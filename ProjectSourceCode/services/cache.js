@@ -0,0 +1,77 @@
+/**
+ * Creates an in-memory cache with per-entry TTL and request coalescing
+ * @param {Object} options - Cache options
+ * @param {number} options.maxEntries - Oldest entries are evicted past this size
+ * @returns {Object} Cache with wrap, get, delete and clear
+ */
+function createCache({ maxEntries = 1000 } = {}) {
+  // key -> { value, storedAt, expiresAt }
+  const entries = new Map();
+  // key -> Promise for fetches that are still in flight
+  const pending = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function set(key, value, ttlMs) {
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+    // Map keeps insertion order, so the first key is the oldest entry
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return entries.get(key);
+  }
+
+  /**
+   * Returns the cached entry for key, or calls fetcher to fill it.
+   * Concurrent calls for the same key share a single fetcher call.
+   * @param {string} key - Cache key
+   * @param {number} ttlMs - Time to live for a freshly fetched value
+   * @param {Function} fetcher - Async function producing the value
+   * @returns {Promise<Object>} Entry with value, storedAt, expiresAt and hit
+   */
+  async function wrap(key, ttlMs, fetcher) {
+    const cached = get(key);
+    if (cached) {
+      return { ...cached, hit: true };
+    }
+
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+
+    const promise = (async () => {
+      try {
+        const value = await fetcher();
+        return { ...set(key, value, ttlMs), hit: false };
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    pending.set(key, promise);
+    return promise;
+  }
+
+  return {
+    get,
+    wrap,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = {
+  createCache
+};
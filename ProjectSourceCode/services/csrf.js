@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Requests with these methods only read, so they are never checked
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Returns the session's CSRF token, creating it the first time. Logging in
+ * starts a new session, so the token changes with it.
+ * @param {Object} req - Express request
+ * @returns {string} Token, or '' once the session has been destroyed (e.g. on logout)
+ */
+function getCsrfToken(req) {
+  if (!req.session) {
+    return '';
+  }
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrfToken;
+}
+
+// Compares in constant time, so the token can't be guessed a character at a time
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Creates middleware rejecting state-changing requests that don't carry the
+ * session's CSRF token, in the X-CSRF-Token header or a _csrf form field.
+ * Multipart bodies aren't parsed yet when it runs, so uploads must use the
+ * header. Rendered pages get the token as res.locals.csrfToken, created only
+ * when a view uses it so plain API calls don't start sessions.
+ * @param {Object} options - { onInvalid }
+ * @param {Function} options.onInvalid - (req, res) sends the response for a
+ *   rejected request (default: 403 JSON)
+ * @returns {Function} Middleware
+ */
+function csrfProtection({ onInvalid } = {}) {
+  return (req, res, next) => {
+    Object.defineProperty(res.locals, 'csrfToken', {
+      enumerable: true,
+      configurable: true,
+      get: () => getCsrfToken(req)
+    });
+
+    if (SAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+    const sent = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+    if (req.body) {
+      delete req.body._csrf;
+    }
+    if (tokensMatch(req.session.csrfToken, sent)) {
+      return next();
+    }
+    if (onInvalid) {
+      return onInvalid(req, res);
+    }
+    res.status(403).json({ error: 'Invalid CSRF token' });
+  };
+}
+
+module.exports = {
+  csrfProtection,
+  getCsrfToken
+};
@@ -0,0 +1,18 @@
+const pgp = require('pg-promise')();
+
+// Database configuration (from environment; docker compose provides these)
+const dbConfig = {
+  host: process.env.POSTGRES_HOST || 'db',
+  port: Number(process.env.POSTGRES_PORT || 5432),
+  database: process.env.POSTGRES_DB || "users_db",
+  user: process.env.POSTGRES_USER || "postgres1",
+  password: process.env.POSTGRES_PASSWORD || "pwd",
+};
+
+// A DATABASE_URL connection string (as hosting providers such as Render give) takes precedence
+const db = pgp(process.env.DATABASE_URL || dbConfig);
+
+module.exports = {
+  db,
+  pgp
+};
@@ -0,0 +1,164 @@
+const nominatimProvider = require('./providers/nominatim');
+const fixtureProvider = require('./providers/geocodeFixture');
+const { createCache } = require('./cache');
+
+// Available geocoding providers, selected with the GEOCODE_PROVIDER env variable
+const providers = {
+  nominatim: nominatimProvider,
+  fixture: fixtureProvider
+};
+
+// Place names and coordinates are stable, so lookups are cached for a long time
+const GEOCODE_TTL_MS = Number(process.env.GEOCODE_TTL_MS || 24 * 60 * 60 * 1000); // 24 hours
+
+// Upstream requests queued longer than this are rejected instead of piling up
+const MAX_QUEUE_WAIT_MS = 5000;
+
+const geocodeCache = createCache({ maxEntries: 2000 });
+
+const STATE_ABBREVIATIONS = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+  'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'district of columbia': 'DC',
+  'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL',
+  'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA',
+  'maine': 'ME', 'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN',
+  'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK', 'oregon': 'OR',
+  'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+  'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA',
+  'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY',
+  'puerto rico': 'PR', 'guam': 'GU', 'united states virgin islands': 'VI'
+};
+
+/**
+ * Returns the geocoding provider configured by GEOCODE_PROVIDER (default: nominatim)
+ * @returns {Object} Provider with search and reverse
+ */
+function getProvider() {
+  const name = (process.env.GEOCODE_PROVIDER || 'nominatim').toLowerCase();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown geocode provider: ${name}`);
+  }
+  return provider;
+}
+
+// Time at which the next upstream request may start
+let nextRequestAt = 0;
+
+/**
+ * Runs an upstream request no sooner than the provider's minimum interval
+ * after the previous one
+ * @param {Object} provider - Geocoding provider
+ * @param {Function} request - Async function performing the request
+ * @returns {Promise<*>} Result of request
+ */
+async function throttle(provider, request) {
+  if (!provider.minIntervalMs) {
+    return request();
+  }
+  const now = Date.now();
+  const wait = Math.max(0, nextRequestAt - now);
+  if (wait > MAX_QUEUE_WAIT_MS) {
+    const error = new Error('Geocoding rate limit exceeded, please try again shortly');
+    error.code = 'GEOCODE_RATE_LIMITED';
+    throw error;
+  }
+  nextRequestAt = Math.max(now, nextRequestAt) + provider.minIntervalMs;
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  return request();
+}
+
+/**
+ * Converts a Nominatim place into the app's "City, ST" place shape
+ * @param {Object} place - Raw Nominatim result with addressdetails
+ * @returns {Object|null} { name, city, state, latitude, longitude }, or null for non-US places
+ */
+function normalizePlace(place) {
+  if (!place) return null;
+  const address = place.address || {};
+  const displayName = (place.display_name || '').toLowerCase();
+  const isUs = address.country_code === 'us' ||
+    displayName.endsWith(', united states') ||
+    displayName.endsWith(', usa');
+  if (!isUs) return null;
+
+  const city = address.city || address.town || address.village || address.hamlet ||
+    address.municipality || address.suburb || address.county ||
+    (place.display_name || '').split(',')[0].trim();
+  const isoCode = address['ISO3166-2-lvl4'] || '';
+  const state = isoCode.startsWith('US-')
+    ? isoCode.slice(3)
+    : STATE_ABBREVIATIONS[(address.state || '').toLowerCase()] || address.state || '';
+  if (!city) return null;
+
+  return {
+    name: state ? `${city}, ${state}` : city,
+    city,
+    state,
+    latitude: parseFloat(place.lat),
+    longitude: parseFloat(place.lon)
+  };
+}
+
+/**
+ * Searches for US places matching a query
+ * @param {string} query - Search text, e.g. "Boulder" or "Boulder, CO"
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Normalized places, deduplicated by name
+ */
+async function searchPlaces(query, limit = 5) {
+  const provider = getProvider();
+  const normalizedQuery = query.trim().toLowerCase();
+  const entry = await geocodeCache.wrap(
+    `${provider.name}:search:${normalizedQuery}:${limit}`,
+    GEOCODE_TTL_MS,
+    async () => {
+      const results = await throttle(provider, () => provider.search(query.trim(), limit));
+      const seen = new Set();
+      return (results || [])
+        .map(normalizePlace)
+        .filter(place => {
+          if (!place || seen.has(place.name.toLowerCase())) {
+            return false;
+          }
+          seen.add(place.name.toLowerCase());
+          return true;
+        });
+    }
+  );
+  return entry.value;
+}
+
+/**
+ * Finds the US place at a lat/lon
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} Normalized place, or null if there is none
+ */
+async function reverseGeocode(lat, lon) {
+  const provider = getProvider();
+  const entry = await geocodeCache.wrap(
+    `${provider.name}:reverse:${lat.toFixed(3)},${lon.toFixed(3)}`,
+    GEOCODE_TTL_MS,
+    async () => normalizePlace(await throttle(provider, () => provider.reverse(lat, lon)))
+  );
+  return entry.value;
+}
+
+/**
+ * Empties the geocode cache (used by tests)
+ */
+function clearGeocodeCache() {
+  geocodeCache.clear();
+}
+
+module.exports = {
+  searchPlaces,
+  reverseGeocode,
+  normalizePlace,
+  clearGeocodeCache
+};
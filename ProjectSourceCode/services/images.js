@@ -0,0 +1,128 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const storage = require('./storage');
+
+// Sizes every uploaded photo is re-encoded into. Widths are upper bounds: smaller
+// photos are never enlarged.
+const IMAGE_SIZES = {
+  thumb: 480,
+  display: 1600
+};
+
+// Formats accepted for upload, identified by their leading bytes. SVG and other
+// formats that can carry scripts are rejected.
+const SIGNATURES = [
+  { type: 'jpeg', matches: (buf) => buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { type: 'png', matches: (buf) => buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'gif', matches: (buf) => buf.length >= 6 && ['GIF87a', 'GIF89a'].includes(buf.toString('latin1', 0, 6)) },
+  { type: 'webp', matches: (buf) => buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+/**
+ * Identifies an image from its magic bytes
+ * @param {Buffer} header - The first bytes of the file (at least 12)
+ * @returns {string|null} 'jpeg', 'png', 'gif' or 'webp', or null if unsupported
+ */
+function detectImageType(header) {
+  const signature = SIGNATURES.find(s => s.matches(header));
+  return signature ? signature.type : null;
+}
+
+// Reads the first bytes of a file for detectImageType
+function readHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Converts an EXIF [degrees, minutes, seconds] value and N/S/E/W ref to decimal degrees
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3 || !dms.every(Number.isFinite)) {
+    return null;
+  }
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Reads the GPS position from raw EXIF data
+ * @param {Buffer} exif - Raw EXIF block, as returned by sharp's metadata()
+ * @returns {Object|null} { latitude, longitude }, or null if there is no usable position
+ */
+function readExifLocation(exif) {
+  if (!exif) return null;
+  let gps;
+  try {
+    gps = exifReader(exif).GPSInfo;
+  } catch (error) {
+    return null;
+  }
+  if (!gps) return null;
+
+  const latitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+  if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 ||
+      (latitude === 0 && longitude === 0)) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Validates an uploaded photo and re-encodes it into each of IMAGE_SIZES, which
+ * are saved to upload storage. The outputs keep no metadata, so EXIF (camera
+ * details, GPS) is stripped; the photo is rotated upright first since the
+ * orientation tag goes with it.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} baseName - Name the derived files start with
+ * @returns {Promise<Object>} { files: { thumb, display }, location } where files are
+ *   storage keys and location is the EXIF GPS position (or null)
+ */
+async function processImage(filePath, baseName) {
+  if (!detectImageType(readHeader(filePath))) {
+    const error = new Error('Only JPEG, PNG, GIF and WebP images are allowed');
+    error.code = 'INVALID_IMAGE';
+    throw error;
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    const invalid = new Error('The uploaded image could not be read');
+    invalid.code = 'INVALID_IMAGE';
+    throw invalid;
+  }
+
+  const files = {};
+  try {
+    for (const [size, width] of Object.entries(IMAGE_SIZES)) {
+      const key = `${baseName}-${size}.webp`;
+      const body = await sharp(filePath)
+        .rotate()
+        .resize({ width, height: width, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      await storage.putObject(key, body, 'image/webp');
+      files[size] = key;
+    }
+  } catch (error) {
+    await storage.removeObjects(Object.values(files));
+    throw error;
+  }
+
+  return { files, location: readExifLocation(metadata.exif) };
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  detectImageType,
+  readExifLocation,
+  processImage
+};
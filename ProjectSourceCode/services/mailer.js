@@ -0,0 +1,46 @@
+const smtpProvider = require('./providers/smtpMailer');
+const logProvider = require('./providers/logMailer');
+
+// Available mail transports, selected with the MAIL_TRANSPORT env variable
+const providers = {
+  smtp: smtpProvider,
+  log: logProvider
+};
+
+const DEFAULT_FROM = 'We-ather <no-reply@we-ather.local>';
+
+/**
+ * Returns the mail transport configured by MAIL_TRANSPORT (default: smtp)
+ * @returns {Object} Transport with send
+ */
+function getProvider() {
+  const name = (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Sends an email from MAIL_FROM
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!to) {
+    throw new Error('Mail needs a recipient');
+  }
+  await getProvider().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+module.exports = {
+  sendMail,
+  getProvider
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned schema migrations. Each migration is a pair of SQL files in
+ * migrations/, NNN_name.up.sql and NNN_name.down.sql, applied in version order.
+ * Applied versions are recorded in the schema_migrations table.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Held while migrating, so two processes never migrate the same database at once
+const MIGRATION_LOCK_ID = 3308;
+
+/**
+ * Reads the migrations in a directory
+ * @param {string} dir - Directory holding the migration files
+ * @returns {Array<Object>} { version, name, up, down } sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+  fs.readdirSync(dir).forEach(file => {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) return;
+    const [, version, name, direction] = match;
+    const existing = migrations.get(version);
+    if (existing && existing.name !== name) {
+      throw new Error(`Migration version ${version} is used by both ${existing.name} and ${name}`);
+    }
+    const migration = existing || { version, name, up: null, down: null };
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  });
+
+  return Array.from(migrations.values())
+    .map(migration => {
+      if (migration.up === null || migration.down === null) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`);
+      }
+      return migration;
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(db) {
+  await db.none(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Lists the migrations that have been applied
+ * @param {Object} db - pg-promise database or task
+ * @returns {Promise<Array<Object>>} { version, name, applied_at } in version order
+ */
+async function getAppliedMigrations(db) {
+  const table = await db.oneOrNone("SELECT to_regclass('schema_migrations') AS name");
+  if (!table || !table.name) return [];
+  const rows = await db.any('SELECT version, name, applied_at FROM schema_migrations');
+  return rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Lists the migrations that have not been applied yet
+ * @param {Object} db - pg-promise database or task
+ * @param {string} dir - Directory holding the migration files
+ * @returns {Promise<Array<Object>>} Pending migrations in version order
+ */
+async function getPendingMigrations(db, dir = MIGRATIONS_DIR) {
+  const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+  return loadMigrations(dir).filter(migration => !applied.has(migration.version));
+}
+
+// Runs fn in a task holding the migration lock
+function withMigrationLock(db, fn) {
+  return db.task(async t => {
+    await t.one('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(t);
+      return await fn(t);
+    } finally {
+      await t.one('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  });
+}
+
+/**
+ * Applies pending migrations, each in its own transaction
+ * @param {Object} db - pg-promise database
+ * @param {Object} options - { dir, to } where to is the last version to apply (default: all)
+ * @returns {Promise<Array<Object>>} The migrations that were applied
+ */
+async function migrateUp(db, { dir = MIGRATIONS_DIR, to = null } = {}) {
+  return withMigrationLock(db, async t => {
+    const pending = (await getPendingMigrations(t, dir))
+      .filter(migration => to === null || Number(migration.version) <= Number(to));
+    for (const migration of pending) {
+      await t.tx(async tx => {
+        await tx.none(migration.up);
+        await tx.none('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      });
+    }
+    return pending;
+  });
+}
+
+/**
+ * Rolls back the most recently applied migrations, each in its own transaction
+ * @param {Object} db - pg-promise database
+ * @param {Object} options - { dir, steps } where steps is how many to roll back (default: 1)
+ * @returns {Promise<Array<Object>>} The migrations that were rolled back, newest first
+ */
+async function migrateDown(db, { dir = MIGRATIONS_DIR, steps = 1 } = {}) {
+  return withMigrationLock(db, async t => {
+    const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+    const toRollBack = (await getAppliedMigrations(t)).reverse().slice(0, steps);
+    const rolledBack = [];
+    for (const row of toRollBack) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.version}_${row.name}: its migration files are missing`);
+      }
+      await t.tx(async tx => {
+        await tx.none(migration.down);
+        await tx.none('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+      rolledBack.push(migration);
+    }
+    return rolledBack;
+  });
+}
+
+/**
+ * Throws if the database is missing any migration, so the server never runs
+ * against a schema it does not expect
+ * @param {Object} db - pg-promise database
+ * @param {string} dir - Directory holding the migration files
+ */
+async function assertNoPendingMigrations(db, dir = MIGRATIONS_DIR) {
+  const pending = await getPendingMigrations(db, dir);
+  if (pending.length > 0) {
+    const error = new Error(
+      `Database has ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}. ` +
+      'Run "npm run migrate" to apply them.'
+    );
+    error.code = 'PENDING_MIGRATIONS';
+    throw error;
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+  assertNoPendingMigrations
+};
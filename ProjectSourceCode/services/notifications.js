@@ -0,0 +1,223 @@
+const units = require('../public/js/units');
+
+/**
+ * In-app notifications. Notifications are created by server-side events:
+ * comments and replies, new followers, posts near a user's saved locations,
+ * and forecast changes or weather alerts for saved locations, which
+ * checkSavedLocations polls for (after geocodeSavedLocations has found them).
+ */
+
+const NOTIFICATION_TYPES = [
+  'post_comment', 'comment_reply', 'new_follower',
+  'nearby_post', 'forecast_change', 'weather_alert'
+];
+
+// How far ahead the forecast is summarized
+const FORECAST_HOURS = 24;
+
+// A saved location the geocoder couldn't find is tried again after this long
+const GEOCODE_RETRY_INTERVAL = '1 day';
+
+// Forecast thresholds, in °F and % chance of precipitation. A notification is
+// sent when the forecast crosses into one of them.
+const FORECAST_THRESHOLDS = {
+  freezing: { field: 'min_temperature', test: value => value <= 32 },
+  heat: { field: 'max_temperature', test: value => value >= 95 },
+  precipitation: { field: 'max_precipitation', test: value => value >= 60 }
+};
+
+/**
+ * Creates a notification. Notifications with a dedupe key are only created
+ * once per user, so repeating an event (following again, an alert that is
+ * still active) doesn't notify twice.
+ * @param {Object} t - pg-promise database or transaction
+ * @param {Object} notification - { userId, type, actorId, postId, commentId,
+ *   savedLocationId, data, dedupeKey }
+ * @returns {Promise<Object|null>} { id }, or null if it was a duplicate
+ */
+function createNotification(t, {
+  userId, type, actorId = null, postId = null, commentId = null,
+  savedLocationId = null, data = null, dedupeKey = null
+}) {
+  return t.oneOrNone(`
+    INSERT INTO notifications (user_id, type, actor_id, post_id, comment_id, saved_location_id, data, dedupe_key)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (user_id, dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+    RETURNING id
+  `, [userId, type, actorId, postId, commentId, savedLocationId, data, dedupeKey]);
+}
+
+/**
+ * Summarizes the next FORECAST_HOURS of an hourly forecast
+ * @param {Array<Object>} hourly - Hourly periods from the weather service
+ * @returns {Object|null} { min_temperature, max_temperature, max_precipitation }
+ *   with temperatures in °F, or null if there is no forecast
+ */
+function summarizeForecast(hourly) {
+  const periods = (hourly || []).slice(0, FORECAST_HOURS);
+  const temperatures = periods
+    .map(period => units.convertTemperature(period.temperature, period.temperatureUnit, 'F'))
+    .filter(temperature => temperature !== null);
+  if (temperatures.length === 0) return null;
+  const precipitation = periods
+    .map(period => Number(period.probabilityOfPrecipitation))
+    .filter(Number.isFinite);
+  return {
+    min_temperature: Math.min(...temperatures),
+    max_temperature: Math.max(...temperatures),
+    max_precipitation: precipitation.length > 0 ? Math.max(...precipitation) : 0
+  };
+}
+
+/**
+ * Lists the thresholds a forecast has crossed into since the previous summary
+ * @param {Object|null} previous - Previous summary (null on the first check)
+ * @param {Object|null} current - Current summary
+ * @returns {Array<Object>} [{ kind, value }], e.g. [{ kind: 'freezing', value: 28 }]
+ */
+function forecastChanges(previous, current) {
+  if (!previous || !current) return [];
+  return Object.entries(FORECAST_THRESHOLDS)
+    .filter(([, { field, test }]) => !test(previous[field]) && test(current[field]))
+    .map(([kind, { field }]) => ({ kind, value: current[field] }));
+}
+
+/**
+ * Geocodes saved locations that have no coordinates yet. Locations that have
+ * never been tried go first, and ones the geocoder couldn't find wait
+ * GEOCODE_RETRY_INTERVAL before being tried again, so they can't hold up
+ * newer ones.
+ * @param {Object} db - pg-promise database
+ * @param {Function} locate - (locationText) => Promise of { latitude, longitude } or null
+ * @param {number} limit - Most locations to geocode in one go
+ * @returns {Promise<number>} Number of locations geocoded
+ */
+async function geocodeSavedLocations(db, locate, limit = 100) {
+  const locations = await db.any(`
+    SELECT id, location_text FROM user_saved_locations
+    WHERE latitude IS NULL
+      AND (geocode_failed_at IS NULL OR geocode_failed_at < NOW() - $1::interval)
+    ORDER BY geocode_failed_at NULLS FIRST, id
+    LIMIT $2
+  `, [GEOCODE_RETRY_INTERVAL, limit]);
+
+  let geocoded = 0;
+  for (const location of locations) {
+    const place = await locate(location.location_text);
+    if (place) {
+      await db.none(
+        'UPDATE user_saved_locations SET latitude = $2, longitude = $3, geocode_failed_at = NULL WHERE id = $1',
+        [location.id, place.latitude, place.longitude]
+      );
+      geocoded++;
+    } else {
+      await db.none('UPDATE user_saved_locations SET geocode_failed_at = NOW() WHERE id = $1', [location.id]);
+    }
+  }
+  return geocoded;
+}
+
+/**
+ * Checks the forecast and alerts for every geocoded saved location, notifying
+ * the location's owner of threshold crossings and of new weather alerts.
+ * The first check of a location only records its forecast.
+ * @param {Object} db - pg-promise database
+ * @param {Object} weatherService - Provides getWeatherData and getAlerts
+ * @returns {Promise<number>} Number of notifications created
+ */
+async function checkSavedLocations(db, weatherService) {
+  const locations = await db.any(`
+    SELECT id, user_id, location_text, latitude, longitude, forecast_summary
+    FROM user_saved_locations
+    WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+    ORDER BY id
+  `);
+
+  let created = 0;
+  for (const location of locations) {
+    try {
+      const latitude = Number(location.latitude);
+      const longitude = Number(location.longitude);
+      const [weather, alerts] = await Promise.all([
+        weatherService.getWeatherData(latitude, longitude),
+        weatherService.getAlerts(latitude, longitude)
+      ]);
+      const summary = summarizeForecast(weather.hourly);
+
+      await db.tx(async t => {
+        for (const change of forecastChanges(location.forecast_summary, summary)) {
+          if (await createNotification(t, {
+            userId: location.user_id,
+            type: 'forecast_change',
+            savedLocationId: location.id,
+            data: { location: location.location_text, ...change }
+          })) created++;
+        }
+        for (const alert of alerts) {
+          // Keyed by alert, so two saved locations under the same alert notify once
+          if (await createNotification(t, {
+            userId: location.user_id,
+            type: 'weather_alert',
+            savedLocationId: location.id,
+            data: { location: location.location_text, alert_id: alert.id, event: alert.event, headline: alert.headline },
+            dedupeKey: `alert:${alert.id}`
+          })) created++;
+        }
+        await t.none(`
+          UPDATE user_saved_locations
+          SET forecast_summary = COALESCE($2, forecast_summary), forecast_checked_at = NOW()
+          WHERE id = $1
+        `, [location.id, summary]);
+      });
+    } catch (error) {
+      console.error(`Error checking the forecast for saved location ${location.id}:`, error.message);
+    }
+  }
+  return created;
+}
+
+/**
+ * Describes a notification for display
+ * @param {Object} notification - Row with type, data, actor_username and post_author_username
+ * @param {Object} prefs - User preferences, for temperatures
+ * @returns {Object} { message, link }
+ */
+function describeNotification(notification, prefs) {
+  const data = notification.data || {};
+  const actor = notification.actor_username;
+  switch (notification.type) {
+    case 'post_comment':
+      return { message: `${actor} commented on your post`, link: '/profile' };
+    case 'comment_reply':
+      return {
+        message: `${actor} replied to your comment`,
+        link: `/users/${encodeURIComponent(notification.post_author_username)}`
+      };
+    case 'new_follower':
+      return { message: `${actor} started following you`, link: `/users/${encodeURIComponent(actor)}` };
+    case 'nearby_post':
+      return { message: `${actor} posted near ${data.location}`, link: `/users/${encodeURIComponent(actor)}` };
+    case 'forecast_change':
+      if (data.kind === 'freezing') {
+        return { message: `Freezing temperatures expected in ${data.location}, with a low of ${units.formatTemperature(data.value, 'F', prefs)}`, link: '/home' };
+      }
+      if (data.kind === 'heat') {
+        return { message: `Extreme heat expected in ${data.location}, with a high of ${units.formatTemperature(data.value, 'F', prefs)}`, link: '/home' };
+      }
+      return { message: `Rain or snow likely in ${data.location}, with a ${data.value}% chance of precipitation`, link: '/home' };
+    case 'weather_alert':
+      return { message: `${data.event} for ${data.location}`, link: '/home' };
+    default:
+      return { message: 'New notification', link: '/home' };
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  createNotification,
+  summarizeForecast,
+  forecastChanges,
+  geocodeSavedLocations,
+  checkSavedLocations,
+  describeNotification
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver that keeps uploads in a directory on local disk.
+ * Files are written to UPLOADS_DIR (defaults to uploads/ next to index.js).
+ */
+
+const defaultUploadsDir = path.join(__dirname, '..', '..', 'uploads');
+
+function uploadsDir() {
+  return process.env.UPLOADS_DIR || defaultUploadsDir;
+}
+
+// Content types of the files the image pipeline writes
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+/**
+ * Stores an object
+ * @param {string} key - Object key (a plain filename)
+ * @param {Buffer} body - Object contents
+ * @returns {Promise<void>}
+ */
+async function put(key, body) {
+  await fs.promises.mkdir(uploadsDir(), { recursive: true });
+  await fs.promises.writeFile(path.join(uploadsDir(), key), body);
+}
+
+/**
+ * Opens an object for reading
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} { body, contentType, contentLength }, or null if it does not exist
+ */
+async function get(key) {
+  const filePath = path.join(uploadsDir(), key);
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  if (!stats.isFile()) return null;
+  return {
+    body: fs.createReadStream(filePath),
+    contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+    contentLength: stats.size
+  };
+}
+
+/**
+ * Deletes an object, ignoring ones that are already gone
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+  try {
+    await fs.promises.unlink(path.join(uploadsDir(), key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  name: 'local',
+  put,
+  get,
+  remove
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Geocoding provider that answers from a JSON list of Nominatim-style places,
+ * so the app and the test suite can run without network access.
+ * Places are read from GEOCODE_FIXTURES_DIR (defaults to fixtures/geocode).
+ */
+
+const defaultFixturesDir = path.join(__dirname, '..', '..', 'fixtures', 'geocode');
+
+async function readPlaces() {
+  const fixturesDir = process.env.GEOCODE_FIXTURES_DIR || defaultFixturesDir;
+  const filePath = path.join(fixturesDir, 'places.json');
+  let data;
+  try {
+    data = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Geocode fixture not found: ${filePath}`);
+  }
+  return JSON.parse(data);
+}
+
+// Every word of the query must start some word of the place's address
+async function search(query, limit) {
+  const queryWords = query.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const places = await readPlaces();
+  return places.filter(place => {
+    const placeWords = `${place.display_name} ${place.address?.['ISO3166-2-lvl4'] || ''}`
+      .toLowerCase()
+      .split(/[^a-z0-9]+/);
+    return queryWords.every(word => placeWords.some(placeWord => placeWord.startsWith(word)));
+  }).slice(0, limit);
+}
+
+// Nearest fixture place, ignoring anything more than ~50km away
+async function reverse(lat, lon) {
+  const places = await readPlaces();
+  let nearest = null;
+  let nearestDistance = Infinity;
+  places.forEach(place => {
+    const distance = Math.hypot(parseFloat(place.lat) - lat, parseFloat(place.lon) - lon);
+    if (distance < nearestDistance) {
+      nearest = place;
+      nearestDistance = distance;
+    }
+  });
+  return nearestDistance <= 0.5 ? nearest : null;
+}
+
+module.exports = {
+  name: 'fixture',
+  minIntervalMs: 0,
+  search,
+  reverse
+};
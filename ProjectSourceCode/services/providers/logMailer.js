@@ -0,0 +1,18 @@
+/**
+ * Mail transport that prints messages to the console instead of sending them,
+ * for running the app without any SMTP server.
+ */
+
+/**
+ * Logs a message
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+async function send(message) {
+  console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+}
+
+module.exports = {
+  name: 'log',
+  send
+};
@@ -0,0 +1,55 @@
+/**
+ * Geocoding provider backed by the OpenStreetMap Nominatim API.
+ * Nominatim's usage policy allows at most one request per second and
+ * requires an identifying User-Agent, which browsers cannot set.
+ */
+
+const BASE_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+/**
+ * Fetches JSON from the Nominatim API
+ * @param {string} path - Path and query string
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function getJson(path) {
+  const response = await fetch(`${BASE_URL}${path}`, {
+    headers: {
+      'User-Agent': 'We-ather App (contact: your-email@example.com)',
+      'Accept': 'application/json'
+    }
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`HTTP ${response.status}: ${text.substring(0, 200)}`);
+  }
+  return response.json();
+}
+
+/**
+ * Searches for places matching a free-form query
+ * Only searches within US (countrycodes=us) since weather.gov API only supports US locations
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Raw Nominatim search results
+ */
+async function search(query, limit) {
+  return getJson(`/search?q=${encodeURIComponent(query)}&format=json&limit=${limit}&addressdetails=1&countrycodes=us`);
+}
+
+/**
+ * Looks up the place at a lat/lon
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object|null>} Raw Nominatim reverse result, or null if nothing is there
+ */
+async function reverse(lat, lon) {
+  const result = await getJson(`/reverse?lat=${lat}&lon=${lon}&format=json&zoom=10&addressdetails=1`);
+  return result && !result.error ? result : null;
+}
+
+module.exports = {
+  name: 'nominatim',
+  minIntervalMs: 1000,
+  search,
+  reverse
+};
@@ -0,0 +1,94 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * Storage driver for S3 and S3-compatible services such as MinIO.
+ * Configured with S3_BUCKET, S3_REGION, S3_ENDPOINT (for non-AWS services),
+ * S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and S3_FORCE_PATH_STYLE.
+ */
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO serves buckets as paths rather than subdomains
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+        : undefined
+    });
+  }
+  return client;
+}
+
+function getBucket() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+  return bucket;
+}
+
+/**
+ * Stores an object
+ * @param {string} key - Object key (a plain filename)
+ * @param {Buffer} body - Object contents
+ * @param {string} contentType - MIME type served with the object
+ * @returns {Promise<void>}
+ */
+async function put(key, body, contentType) {
+  await getClient().send(new PutObjectCommand({
+    Bucket: getBucket(),
+    Key: key,
+    Body: body,
+    ContentType: contentType
+  }));
+}
+
+/**
+ * Opens an object for reading
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} { body, contentType, contentLength }, or null if it does not exist
+ */
+async function get(key) {
+  try {
+    const object = await getClient().send(new GetObjectCommand({
+      Bucket: getBucket(),
+      Key: key
+    }));
+    return {
+      body: object.Body,
+      contentType: object.ContentType || 'application/octet-stream',
+      contentLength: object.ContentLength
+    };
+  } catch (error) {
+    if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes an object (S3 treats deleting a missing key as success)
+ * @param {string} key - Object key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+  await getClient().send(new DeleteObjectCommand({
+    Bucket: getBucket(),
+    Key: key
+  }));
+}
+
+module.exports = {
+  name: 's3',
+  put,
+  get,
+  remove
+};
@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that delivers through an SMTP server. Defaults to a local
+ * catcher such as MailHog on localhost:1025; configure SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER and SMTP_PASSWORD for a real server.
+ */
+
+// Transports are reused for as long as the configuration doesn't change
+let transport = null;
+let transportKey = null;
+
+function getTransport() {
+  const options = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT || 1025),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  };
+  const key = JSON.stringify(options);
+  if (!transport || transportKey !== key) {
+    transport = nodemailer.createTransport(options);
+    transportKey = key;
+  }
+  return transport;
+}
+
+/**
+ * Sends a message
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+async function send(message) {
+  await getTransport().sendMail(message);
+}
+
+module.exports = {
+  name: 'smtp',
+  send
+};
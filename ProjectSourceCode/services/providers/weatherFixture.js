@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Weather provider that serves canned weather.gov responses from JSON files,
+ * so the app and the test suite can run without network access.
+ * Files are read from WEATHER_FIXTURES_DIR (defaults to fixtures/weather).
+ */
+
+const defaultFixturesDir = path.join(__dirname, '..', '..', 'fixtures', 'weather');
+
+/**
+ * Reads and parses one fixture file
+ * @param {string} name - Fixture file name without extension
+ * @returns {Promise<Object>} Parsed JSON fixture
+ */
+async function readFixture(name) {
+  const fixturesDir = process.env.WEATHER_FIXTURES_DIR || defaultFixturesDir;
+  const filePath = path.join(fixturesDir, `${name}.json`);
+  let data;
+  try {
+    data = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Weather fixture not found: ${filePath}`);
+  }
+  return JSON.parse(data);
+}
+
+async function getPoints(lat, lon) {
+  return readFixture('points');
+}
+
+async function getForecast(points) {
+  return readFixture('forecast');
+}
+
+async function getHourlyForecast(points) {
+  return readFixture('forecastHourly');
+}
+
+async function getAlerts(lat, lon) {
+  return readFixture('alerts');
+}
+
+module.exports = {
+  name: 'fixture',
+  getPoints,
+  getForecast,
+  getHourlyForecast,
+  getAlerts
+};
@@ -0,0 +1,136 @@
+const https = require('https');
+const { URL } = require('url');
+
+/**
+ * Weather provider backed by the live api.weather.gov API
+ */
+
+/**
+ * Looks up the NWS grid point for a lat/lon
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Raw points response
+ */
+async function getPoints(lat, lon) {
+  return makeRequest(`https://api.weather.gov/points/${lat},${lon}`);
+}
+
+/**
+ * Fetches the daily (12 hour period) forecast for a grid point
+ * @param {Object} points - Properties from the points response
+ * @returns {Promise<Object>} Raw forecast response
+ */
+async function getForecast(points) {
+  const forecastUrl = points.forecast?.trim();
+  if (!forecastUrl) {
+    throw new Error('Forecast URL is missing');
+  }
+  console.log('Forecast URL:', forecastUrl);
+  return makeRequest(forecastUrl);
+}
+
+/**
+ * Fetches the hourly forecast for a grid point
+ * @param {Object} points - Properties from the points response
+ * @returns {Promise<Object>} Raw hourly forecast response
+ */
+async function getHourlyForecast(points) {
+  const hourlyUrl = points.forecastHourly?.trim();
+  if (!hourlyUrl) {
+    throw new Error('Hourly forecast URL is missing');
+  }
+  console.log('Hourly URL:', hourlyUrl);
+  return makeRequest(hourlyUrl);
+}
+
+/**
+ * Fetches the active NWS alerts (watches, warnings, advisories) for a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Raw alerts FeatureCollection
+ */
+async function getAlerts(lat, lon) {
+  return makeRequest(`https://api.weather.gov/alerts/active?point=${lat},${lon}`);
+}
+
+/**
+ * Makes an HTTPS request to weather.gov API
+ * @param {string} urlString - URL to fetch
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+function makeRequest(urlString) {
+  return new Promise((resolve, reject) => {
+    if (!urlString) {
+      return reject(new Error('URL is required'));
+    }
+
+    // Trim whitespace and ensure it's a string
+    const trimmedUrl = String(urlString).trim();
+    if (!trimmedUrl) {
+      return reject(new Error('URL is empty after trimming'));
+    }
+
+    // Handle relative URLs by prepending the base URL
+    let fullUrl = trimmedUrl;
+    if (!trimmedUrl.startsWith('http://') && !trimmedUrl.startsWith('https://')) {
+      fullUrl = `https://api.weather.gov${trimmedUrl.startsWith('/') ? '' : '/'}${trimmedUrl}`;
+    }
+
+    let url;
+    try {
+      url = new URL(fullUrl);
+    } catch (error) {
+      console.error('URL parsing error:', { original: urlString, trimmed: trimmedUrl, fullUrl });
+      return reject(new Error(`Invalid URL: ${urlString} - ${error.message}`));
+    }
+
+    const options = {
+      hostname: url.hostname,
+      path: url.pathname + url.search,
+      method: 'GET',
+      headers: {
+        'User-Agent': 'We-ather App (contact: your-email@example.com)',
+        'Accept': 'application/json'
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+
+      // Handle redirects
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        return resolve(makeRequest(res.headers.location));
+      }
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          if (res.statusCode === 200) {
+            resolve(JSON.parse(data));
+          } else {
+            reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
+          }
+        } catch (error) {
+          reject(new Error(`Failed to parse response: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.end();
+  });
+}
+
+module.exports = {
+  name: 'weathergov',
+  getPoints,
+  getForecast,
+  getHourlyForecast,
+  getAlerts
+};
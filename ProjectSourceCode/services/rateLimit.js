@@ -0,0 +1,131 @@
+/**
+ * Creates an in-memory fixed-window rate limiter. Counts are kept per process,
+ * so every app instance limits on its own.
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Length of a window
+ * @param {number} options.max - Hits allowed per key in a window
+ * @param {number} options.maxKeys - Oldest keys are forgotten past this many
+ * @returns {Object} Limiter with check, hit, undo, reset, clear and middleware
+ */
+function createRateLimiter({ windowMs, max, maxKeys = 10000 }) {
+  // key -> { count, resetAt }
+  const windows = new Map();
+
+  function current(key) {
+    const window = windows.get(key);
+    if (window && window.resetAt <= Date.now()) {
+      windows.delete(key);
+      return null;
+    }
+    return window || null;
+  }
+
+  // limit is the count at which the key counts as limited
+  function status(window, limit) {
+    const count = window ? window.count : 0;
+    const limited = count >= limit;
+    return {
+      limited,
+      remaining: Math.max(0, max - count),
+      retryAfterMs: limited ? window.resetAt - Date.now() : 0
+    };
+  }
+
+  /**
+   * Reports whether a key has used up its hits, without counting one
+   * @param {string} key - What is being limited, e.g. an IP address
+   * @returns {Object} { limited, remaining, retryAfterMs }
+   */
+  function check(key) {
+    return status(current(key), max);
+  }
+
+  /**
+   * Counts a hit for a key
+   * @param {string} key - What is being limited
+   * @returns {Object} { limited, remaining, retryAfterMs } where limited means
+   *   this hit went over the limit
+   */
+  function hit(key) {
+    let window = current(key);
+    if (!window) {
+      window = { count: 0, resetAt: Date.now() + windowMs };
+      windows.set(key, window);
+      // Map keeps insertion order, so the first key is the oldest window
+      while (windows.size > maxKeys) {
+        windows.delete(windows.keys().next().value);
+      }
+    }
+    window.count++;
+    return status(window, max + 1);
+  }
+
+  /**
+   * Takes back a hit counted for a key, e.g. once it turns out not to count
+   * @param {string} key - What is being limited
+   */
+  function undo(key) {
+    const window = current(key);
+    if (window && window.count > 0) {
+      window.count--;
+    }
+  }
+
+  function reset(key) {
+    windows.delete(key);
+  }
+
+  function clear() {
+    windows.clear();
+  }
+
+  /**
+   * Express middleware counting every request and rejecting those over the limit
+   * @param {Object} options - { key, onLimited }
+   * @param {Function} options.key - Maps a request to its key (default: req.ip)
+   * @param {Function} options.onLimited - (req, res, retryAfterMs) sends the response
+   *   for a limited request (default: 429 JSON)
+   * @returns {Function} Middleware
+   */
+  function middleware({ key = req => req.ip, onLimited } = {}) {
+    return (req, res, next) => {
+      const result = hit(String(key(req)));
+      if (!result.limited) {
+        return next();
+      }
+      res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+      if (onLimited) {
+        return onLimited(req, res, result.retryAfterMs);
+      }
+      res.status(429).json({ error: 'Too many requests. Please try again later.' });
+    };
+  }
+
+  return {
+    check,
+    hit,
+    undo,
+    reset,
+    clear,
+    middleware
+  };
+}
+
+/**
+ * Describes a wait for messages, e.g. "3 minutes" or "1 minute"
+ * @param {number} ms - Time to wait
+ * @returns {string} Rounded up to whole minutes (or seconds under a minute)
+ */
+function formatRetryAfter(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 60) {
+    return seconds === 1 ? '1 second' : `${seconds} seconds`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+module.exports = {
+  createRateLimiter,
+  formatRetryAfter
+};
@@ -0,0 +1,135 @@
+const session = require('express-session');
+
+// How long a session without a cookie expiry lives
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Expired sessions are deleted this often
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+// last_seen_at is only refreshed when it is older than this, so every request
+// doesn't turn into a write
+const TOUCH_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Runs a store operation and hands the result to an express-session callback
+function withCallback(promise, callback) {
+  promise.then(result => callback && callback(null, result), error => callback && callback(error));
+}
+
+/**
+ * express-session store that keeps sessions in the Postgres sessions table.
+ * Besides the session data, each row records the signed-in user, user agent
+ * and IP (taken from session.user, session.userAgent and session.ip) so a
+ * user's sessions can be listed and revoked.
+ */
+class PgSessionStore extends session.Store {
+  /**
+   * @param {Object} db - pg-promise database
+   * @param {Object} options - { pruneIntervalMs } (0 disables pruning)
+   */
+  constructor(db, { pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+    super();
+    this.db = db;
+    if (pruneIntervalMs > 0) {
+      this.pruneTimer = setInterval(() => {
+        this.prune().catch(error => console.error('Error pruning sessions:', error));
+      }, pruneIntervalMs);
+      // Don't keep the process alive just to prune
+      this.pruneTimer.unref();
+    }
+  }
+
+  static expiresAt(sess) {
+    const expires = sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + DEFAULT_TTL_MS);
+  }
+
+  get(sid, callback) {
+    withCallback(
+      this.db.oneOrNone('SELECT sess FROM sessions WHERE sid = $1 AND expires_at > NOW()', [sid])
+        .then(row => row ? row.sess : null),
+      callback
+    );
+  }
+
+  set(sid, sess, callback) {
+    withCallback(this.db.none(`
+      INSERT INTO sessions (sid, user_id, sess, expires_at, user_agent, ip)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (sid) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        sess = EXCLUDED.sess,
+        expires_at = EXCLUDED.expires_at,
+        user_agent = EXCLUDED.user_agent,
+        ip = EXCLUDED.ip,
+        last_seen_at = NOW()
+    `, [
+      sid,
+      sess.user ? sess.user.id : null,
+      JSON.stringify(sess),
+      PgSessionStore.expiresAt(sess),
+      sess.userAgent || null,
+      sess.ip || null
+    ]), callback);
+  }
+
+  touch(sid, sess, callback) {
+    withCallback(this.db.none(`
+      UPDATE sessions SET expires_at = $2, last_seen_at = NOW()
+      WHERE sid = $1 AND (last_seen_at < NOW() - $3 * INTERVAL '1 millisecond' OR expires_at <> $2)
+    `, [sid, PgSessionStore.expiresAt(sess), TOUCH_INTERVAL_MS]), callback);
+  }
+
+  destroy(sid, callback) {
+    withCallback(this.db.none('DELETE FROM sessions WHERE sid = $1', [sid]), callback);
+  }
+
+  /**
+   * Deletes expired sessions
+   * @returns {Promise<number>} How many were deleted
+   */
+  async prune() {
+    const result = await this.db.result('DELETE FROM sessions WHERE expires_at <= NOW()');
+    return result.rowCount;
+  }
+
+  /**
+   * Lists a user's active sessions, most recently used first
+   * @param {number} userId - User id
+   * @returns {Promise<Array<Object>>} { id, sid, user_agent, ip, created_at, last_seen_at, expires_at }
+   */
+  async listForUser(userId) {
+    return this.db.any(`
+      SELECT id, sid, user_agent, ip, created_at, last_seen_at, expires_at
+      FROM sessions
+      WHERE user_id = $1 AND expires_at > NOW()
+      ORDER BY last_seen_at DESC, id DESC
+    `, [userId]);
+  }
+
+  /**
+   * Deletes one of a user's sessions by its public id
+   * @param {number} userId - User id
+   * @param {number} id - Session id from listForUser
+   * @returns {Promise<boolean>} False if the user has no such session
+   */
+  async destroyForUser(userId, id) {
+    const result = await this.db.result('DELETE FROM sessions WHERE user_id = $1 AND id = $2', [userId, id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Deletes all of a user's sessions, optionally keeping one
+   * @param {number} userId - User id
+   * @param {string} exceptSid - Session to keep (usually the current one)
+   * @returns {Promise<number>} How many were deleted
+   */
+  async destroyAllForUser(userId, exceptSid = null) {
+    const result = await this.db.result(
+      'DELETE FROM sessions WHERE user_id = $1 AND ($2::text IS NULL OR sid <> $2)',
+      [userId, exceptSid]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = {
+  PgSessionStore
+};
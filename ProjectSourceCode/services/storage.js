@@ -0,0 +1,87 @@
+const diskProvider = require('./providers/diskStorage');
+const s3Provider = require('./providers/s3Storage');
+
+// Available storage drivers for uploads, selected with the STORAGE_DRIVER env variable
+const providers = {
+  local: diskProvider,
+  s3: s3Provider
+};
+
+// Keys are plain filenames generated by the upload pipeline, never paths
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Returns the storage driver configured by STORAGE_DRIVER (default: local)
+ * @returns {Object} Driver with put, get and remove
+ */
+function getDriver() {
+  const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+  const driver = providers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+}
+
+/**
+ * Checks that a key is a plain filename
+ * @param {string} key - Object key
+ * @returns {boolean} True if the key can be stored and served
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+function assertValidKey(key) {
+  if (!isValidKey(key)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+/**
+ * Stores an upload
+ * @param {string} key - Object key
+ * @param {Buffer} body - Object contents
+ * @param {string} contentType - MIME type served with the object
+ * @returns {Promise<void>}
+ */
+async function putObject(key, body, contentType) {
+  assertValidKey(key);
+  await getDriver().put(key, body, contentType);
+}
+
+/**
+ * Opens an upload for reading
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} { body, contentType, contentLength } where body is a
+ *   readable stream, or null if there is no such upload
+ */
+async function getObject(key) {
+  if (!isValidKey(key)) return null;
+  return getDriver().get(key);
+}
+
+/**
+ * Deletes uploads. Failures are logged rather than thrown, so callers can go on
+ * deleting the records that referenced them.
+ * @param {Array<string>} keys - Object keys (null entries are skipped)
+ * @returns {Promise<void>}
+ */
+async function removeObjects(keys) {
+  const driver = getDriver();
+  await Promise.all(keys.filter(Boolean).map(async key => {
+    try {
+      assertValidKey(key);
+      await driver.remove(key);
+    } catch (error) {
+      console.error(`Error deleting upload ${key}:`, error);
+    }
+  }));
+}
+
+module.exports = {
+  isValidKey,
+  putObject,
+  getObject,
+  removeObjects
+};
@@ -0,0 +1,179 @@
+// Where a schema can look for fields, in the order they are checked
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Range of a Postgres INTEGER column, so ids outside it are rejected up front
+const MAX_INT = 2147483647;
+
+function describeRange(field, { min, max }, unit = '') {
+  if (min !== undefined && max !== undefined) {
+    return `${field} must be between ${min} and ${max}${unit}`;
+  }
+  return min !== undefined ? `${field} must be at least ${min}${unit}` : `${field} must be at most ${max}${unit}`;
+}
+
+function outOfRange(value, { min, max }) {
+  return (min !== undefined && value < min) || (max !== undefined && value > max);
+}
+
+// Checks a present value against a rule. Returns { value } with the value
+// converted to the rule's type, or { message }.
+function checkValue(field, value, rule) {
+  switch (rule.type) {
+    case 'int': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      if (!Number.isInteger(number)) {
+        return { message: `${field} must be an integer` };
+      }
+      if (outOfRange(number, rule)) {
+        return { message: describeRange(field, rule) };
+      }
+      return { value: number };
+    }
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { message: `${field} must be a number` };
+      }
+      if (outOfRange(number, rule)) {
+        return { message: describeRange(field, rule) };
+      }
+      return { value: number };
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { message: `${field} must be true or false` };
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { message: `${field} must be a list` };
+      }
+      if (outOfRange(value.length, { min: rule.minItems, max: rule.maxItems })) {
+        return { message: describeRange(field, { min: rule.minItems, max: rule.maxItems }, ' items') };
+      }
+      if (!rule.items) {
+        return { value };
+      }
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const result = checkField(`${field}[${index}]`, item, { required: true, ...rule.items });
+        if (result.message) return result;
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    default: {
+      if (typeof value !== 'string') {
+        return { message: `${field} must be a string` };
+      }
+      const text = rule.trim ? value.trim() : value;
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return { message: `${field} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.enum && !rule.enum.includes(text)) {
+        return { message: `${field} must be one of ${rule.enum.join(', ')}` };
+      }
+      return { value: text };
+    }
+  }
+}
+
+/**
+ * Checks one field against its rule
+ * @param {string} field - Field name, used in messages
+ * @param {*} value - Value sent by the client
+ * @param {Object} rule - See validate
+ * @returns {Object} { value, missing } where missing marks an optional field
+ *   that wasn't sent (value is then its default), or { message }
+ */
+function checkField(field, value, rule) {
+  if (value === null && rule.nullable) {
+    return { value: null };
+  }
+  // Forms and query strings send empty fields as '', so whitespace counts as
+  // missing too, unless the rule allows an empty string
+  const allowEmpty = (rule.type || 'string') === 'string' && rule.allowEmpty;
+  const missing = value === undefined || (value === null && rule.required) ||
+    (typeof value === 'string' && value.trim() === '' && !allowEmpty);
+  if (missing) {
+    return rule.required ? { message: `${field} is required` } : { value: rule.default, missing: true };
+  }
+
+  const result = checkValue(field, value, rule);
+  if (result.message) {
+    return { message: rule.message || result.message };
+  }
+  const message = rule.check ? rule.check(result.value) : null;
+  return message ? { message } : result;
+}
+
+/**
+ * Creates middleware that checks a request against a schema before the route
+ * runs. Valid fields are replaced by their converted values (e.g. req.params.id
+ * becomes a number), blank optional ones are removed, and fields the schema
+ * doesn't list are left alone.
+ * Otherwise it responds 400 with the standard error shape:
+ *   { error: first message, errors: [{ location, field, message }] }
+ *
+ * A rule describes one field:
+ *   type       'string' (default), 'int', 'number', 'boolean' or 'array'
+ *   required   The field must be sent (a required string can't be blank)
+ *   nullable   null is accepted as a value
+ *   default    Value used when an optional field is missing
+ *   min, max   Range of a number or int
+ *   trim, maxLength, enum, allowEmpty   For strings
+ *   minItems, maxItems, items           For arrays (items is the rule for each item)
+ *   message    Replaces the message when the value has the wrong type or range
+ *   check      (value) => message or null, for anything else
+ *
+ * Form routes that answer with a page pass onInvalid to render it instead of
+ * the JSON error (with a 400 status, as sendValidationErrors would).
+ *
+ * @param {Object} schema - { params, query, body }, each mapping field names to rules
+ * @param {Object} options - { onInvalid }
+ * @param {Function} options.onInvalid - (req, res, errors) responds to an invalid request
+ * @returns {Function} Middleware
+ */
+function validate(schema, { onInvalid } = {}) {
+  return (req, res, next) => {
+    const errors = [];
+    for (const location of LOCATIONS) {
+      const fields = schema[location];
+      if (!fields) continue;
+      const source = req[location] || {};
+      for (const [field, rule] of Object.entries(fields)) {
+        const result = checkField(field, source[field], rule);
+        if (result.message) {
+          errors.push({ location, field, message: result.message });
+        } else if (result.value !== undefined) {
+          source[field] = result.value;
+        } else if (result.missing) {
+          // A blank optional field reads as not sent
+          delete source[field];
+        }
+      }
+      req[location] = source;
+    }
+
+    if (errors.length > 0) {
+      return onInvalid ? onInvalid(req, res, errors) : sendValidationErrors(res, errors);
+    }
+    next();
+  };
+}
+
+/**
+ * Responds 400 with the standard validation error shape, for checks a schema
+ * can't express (e.g. ones that need the database)
+ * @param {Object} res - Express response
+ * @param {Array<Object>} errors - [{ location, field, message }]
+ */
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ error: errors[0].message, errors });
+}
+
+module.exports = {
+  validate,
+  sendValidationErrors,
+  MAX_INT
+};
@@ -1,56 +1,160 @@
-const https = require('https');
-const { URL } = require('url');
+const weatherGovProvider = require('./providers/weatherGov');
+const fixtureProvider = require('./providers/weatherFixture');
+const { createCache } = require('./cache');
+
+// Available weather providers, selected with the WEATHER_PROVIDER env variable
+const providers = {
+  weathergov: weatherGovProvider,
+  fixture: fixtureProvider
+};
+
+// The points -> grid mapping practically never changes, forecasts go stale quickly
+const POINTS_TTL_MS = Number(process.env.WEATHER_POINTS_TTL_MS || 24 * 60 * 60 * 1000); // 24 hours
+const FORECAST_TTL_MS = Number(process.env.WEATHER_FORECAST_TTL_MS || 10 * 60 * 1000); // 10 minutes
+const ALERTS_TTL_MS = Number(process.env.WEATHER_ALERTS_TTL_MS || 2 * 60 * 1000); // 2 minutes
+
+// How many hourly periods /api/weather returns (NWS publishes about a week of them)
+const HOURLY_PERIODS = 48;
+
+// Coordinates are rounded to 2 decimals (~1km) so nearby users share cache entries
+const COORDINATE_PRECISION = 2;
+
+const weatherCache = createCache({ maxEntries: 2000 });
+
+/**
+ * Returns the weather provider configured by WEATHER_PROVIDER (default: weathergov)
+ * @returns {Object} Provider with getPoints, getForecast, getHourlyForecast and getAlerts
+ */
+function getProvider() {
+  const name = (process.env.WEATHER_PROVIDER || 'weathergov').toLowerCase();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown weather provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Rounds a coordinate for use in cache keys and upstream requests
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded coordinate
+ */
+function roundCoordinate(value) {
+  return Number(value.toFixed(COORDINATE_PRECISION));
+}
+
+/**
+ * Builds the cache key prefix for an NWS grid point
+ * @param {Object} points - Properties from the points response
+ * @returns {string} Grid key, e.g. "BOU/54,74"
+ */
+function gridKey(points) {
+  if (points.gridId && points.gridX !== undefined && points.gridY !== undefined) {
+    return `${points.gridId}/${points.gridX},${points.gridY}`;
+  }
+  return points.forecast.trim();
+}
 
 /**
- * Fetches weather data from weather.gov API
+ * Reads a number from an NWS quantitative value ({ unitCode, value }) or a bare number
+ * @param {Object|number} quantity - Quantitative value
+ * @returns {number|null} The value, or null if missing
+ */
+function quantityValue(quantity) {
+  const value = quantity !== null && typeof quantity === 'object' ? quantity.value : quantity;
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Converts an hourly forecast period into the app's hourly shape. The dewpoint
+ * is reported in the same unit as the temperature.
+ * @param {Object} period - Period from the hourly forecast
+ * @returns {Object} Normalized hourly period
+ */
+function normalizeHourlyPeriod(period) {
+  let dewpoint = quantityValue(period.dewpoint);
+  const dewpointInCelsius = !period.dewpoint?.unitCode || period.dewpoint.unitCode.endsWith('degC');
+  if (dewpoint !== null && dewpointInCelsius && period.temperatureUnit !== 'C') {
+    dewpoint = dewpoint * 9 / 5 + 32;
+  }
+  return {
+    startTime: period.startTime,
+    endTime: period.endTime,
+    isDaytime: period.isDaytime,
+    temperature: period.temperature,
+    temperatureUnit: period.temperatureUnit || 'F',
+    probabilityOfPrecipitation: quantityValue(period.probabilityOfPrecipitation),
+    windSpeed: period.windSpeed || null,
+    windDirection: period.windDirection || null,
+    relativeHumidity: quantityValue(period.relativeHumidity),
+    dewpoint: dewpoint === null ? null : Math.round(dewpoint),
+    shortForecast: period.shortForecast || ''
+  };
+}
+
+/**
+ * Fetches weather data from the configured weather provider, going through the
+ * forecast cache, and reports how old the cached forecast is
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {Promise<Object>} Weather data
+ * @returns {Promise<Object>} { weather, cached, updatedAt, expiresAt }
  */
-async function getWeatherData(lat, lon) {
+async function getWeatherDataWithCacheInfo(lat, lon) {
   try {
-    // Step 1: Get grid point from lat/lon
-    const pointsUrl = `https://api.weather.gov/points/${lat},${lon}`;
-    const pointsData = await makeRequest(pointsUrl);
-    
-    if (!pointsData || !pointsData.properties) {
-      throw new Error('Invalid response from points API');
-    }
-    
-    if (!pointsData.properties.forecast) {
-      throw new Error('Unable to get forecast URL from points API');
-    }
-    
-    if (!pointsData.properties.forecastHourly) {
-      throw new Error('Unable to get hourly forecast URL from points API');
-    }
-    
-    // Step 2: Get forecast from grid point
-    const forecastUrl = pointsData.properties.forecast?.trim();
-    if (!forecastUrl) {
-      throw new Error('Forecast URL is missing');
-    }
-    console.log('Forecast URL:', forecastUrl);
-    
-    const forecastData = await makeRequest(forecastUrl);
-    
-    // Step 3: Get current conditions (hourly forecast)
-    const hourlyUrl = pointsData.properties.forecastHourly?.trim();
-    if (!hourlyUrl) {
-      throw new Error('Hourly forecast URL is missing');
-    }
-    console.log('Hourly URL:', hourlyUrl);
-    
-    const hourlyData = await makeRequest(hourlyUrl);
-    
+    const provider = getProvider();
+    const roundedLat = roundCoordinate(lat);
+    const roundedLon = roundCoordinate(lon);
+
+    // Step 1: Get grid point from lat/lon (validated before it is cached)
+    const pointsEntry = await weatherCache.wrap(
+      `${provider.name}:points:${roundedLat},${roundedLon}`,
+      POINTS_TTL_MS,
+      async () => {
+        const pointsData = await provider.getPoints(roundedLat, roundedLon);
+
+        if (!pointsData || !pointsData.properties) {
+          throw new Error('Invalid response from points API');
+        }
+
+        if (!pointsData.properties.forecast) {
+          throw new Error('Unable to get forecast URL from points API');
+        }
+
+        if (!pointsData.properties.forecastHourly) {
+          throw new Error('Unable to get hourly forecast URL from points API');
+        }
+
+        return pointsData;
+      }
+    );
+    const pointsData = pointsEntry.value;
+
+    const grid = `${provider.name}:${gridKey(pointsData.properties)}`;
+
+    // Step 2 and 3: Get the daily forecast and current conditions (hourly forecast) for the grid point
+    const [forecastEntry, hourlyEntry] = await Promise.all([
+      weatherCache.wrap(`${grid}:forecast`, FORECAST_TTL_MS, () => provider.getForecast(pointsData.properties)),
+      weatherCache.wrap(`${grid}:hourly`, FORECAST_TTL_MS, () => provider.getHourlyForecast(pointsData.properties))
+    ]);
+    const forecastData = forecastEntry.value;
+    const hourlyData = hourlyEntry.value;
+    const hourlyPeriods = hourlyData.properties?.periods || [];
+
     return {
-      location: pointsData.properties.relativeLocation?.properties || {
-        city: 'Unknown',
-        state: 'Unknown'
+      weather: {
+        location: pointsData.properties.relativeLocation?.properties || {
+          city: 'Unknown',
+          state: 'Unknown'
+        },
+        current: hourlyPeriods[0] || null,
+        hourly: hourlyPeriods.slice(0, HOURLY_PERIODS).map(normalizeHourlyPeriod),
+        forecast: forecastData.properties?.periods || [],
+        units: forecastData.properties?.units || {}
       },
-      current: hourlyData.properties?.periods?.[0] || null,
-      forecast: forecastData.properties?.periods || [],
-      units: forecastData.properties?.units || {}
+      cached: forecastEntry.hit && hourlyEntry.hit,
+      // Report the older of the two forecasts, and the earlier expiry
+      updatedAt: new Date(Math.min(forecastEntry.storedAt, hourlyEntry.storedAt)),
+      expiresAt: new Date(Math.min(forecastEntry.expiresAt, hourlyEntry.expiresAt))
     };
   } catch (error) {
     console.error('Error fetching weather data:', error);
@@ -58,105 +162,83 @@ async function getWeatherData(lat, lon) {
   }
 }
 
-async function getWeatherData2(lat, lon) {
-  try {
-    // Step 1: Get grid endpoint for this lat/lon
-    const pointResponse = await fetch(`https://api.weather.gov/points/${lat},${lon}`);
-    const pointData = await pointResponse.json();
+/**
+ * Fetches weather data from the configured weather provider
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Object>} Weather data
+ */
+async function getWeatherData(lat, lon) {
+  const { weather } = await getWeatherDataWithCacheInfo(lat, lon);
+  return weather;
+}
 
-    // The forecast URL is in the 'forecast' property
-    const forecastUrl = pointData.properties.forecast;
+// Most severe alerts are listed first
+const SEVERITY_ORDER = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
 
-    // Step 2: Fetch the actual forecast
-    const forecastResponse = await fetch(forecastUrl);
-    const forecastData = await forecastResponse.json();
+/**
+ * Converts an NWS alert feature into the app's alert shape
+ * @param {Object} feature - Feature from the alerts FeatureCollection
+ * @returns {Object} Normalized alert
+ */
+function normalizeAlert(feature) {
+  const properties = feature.properties || {};
+  return {
+    id: properties.id || feature.id,
+    event: properties.event || 'Weather Alert',
+    severity: properties.severity || 'Unknown',
+    urgency: properties.urgency || 'Unknown',
+    headline: properties.headline || properties.event || '',
+    description: properties.description || '',
+    instruction: properties.instruction || '',
+    onset: properties.onset || properties.effective || null,
+    expires: properties.ends || properties.expires || null,
+    area: properties.areaDesc || ''
+  };
+}
+
+/**
+ * Fetches the active severe weather alerts for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Array>} Normalized alerts, most severe first
+ */
+async function getAlerts(lat, lon) {
+  try {
+    const provider = getProvider();
+    const roundedLat = roundCoordinate(lat);
+    const roundedLon = roundCoordinate(lon);
 
-    // Step 3: Display periods (each period = forecast segment)
-    console.log(`Forecast for ${pointData.properties.relativeLocation.properties.city}, ${pointData.properties.relativeLocation.properties.state}`);
-    forecastData.properties.periods.forEach(period => {
-      console.log(`${period.name}: ${period.temperature}°${period.temperatureUnit}, ${period.shortForecast}`);
-    });
+    const alertsEntry = await weatherCache.wrap(
+      `${provider.name}:alerts:${roundedLat},${roundedLon}`,
+      ALERTS_TTL_MS,
+      () => provider.getAlerts(roundedLat, roundedLon)
+    );
 
+    const severityRank = (alert) => {
+      const rank = SEVERITY_ORDER.indexOf(alert.severity);
+      return rank === -1 ? SEVERITY_ORDER.length : rank;
+    };
+    return (alertsEntry.value?.features || [])
+      .map(normalizeAlert)
+      .sort((a, b) => severityRank(a) - severityRank(b));
   } catch (error) {
-    console.error("Error fetching weather data:", error);
+    console.error('Error fetching weather alerts:', error);
+    throw error;
   }
 }
 
 /**
- * Makes an HTTPS request to weather.gov API
- * @param {string} urlString - URL to fetch
- * @returns {Promise<Object>} Parsed JSON response
+ * Empties the forecast cache (used by tests)
  */
-function makeRequest(urlString) {
-  return new Promise((resolve, reject) => {
-    if (!urlString) {
-      return reject(new Error('URL is required'));
-    }
-    
-    // Trim whitespace and ensure it's a string
-    const trimmedUrl = String(urlString).trim();
-    if (!trimmedUrl) {
-      return reject(new Error('URL is empty after trimming'));
-    }
-    
-    // Handle relative URLs by prepending the base URL
-    let fullUrl = trimmedUrl;
-    if (!trimmedUrl.startsWith('http://') && !trimmedUrl.startsWith('https://')) {
-      fullUrl = `https://api.weather.gov${trimmedUrl.startsWith('/') ? '' : '/'}${trimmedUrl}`;
-    }
-    
-    let url;
-    try {
-      url = new URL(fullUrl);
-    } catch (error) {
-      console.error('URL parsing error:', { original: urlString, trimmed: trimmedUrl, fullUrl });
-      return reject(new Error(`Invalid URL: ${urlString} - ${error.message}`));
-    }
-    
-    const options = {
-      hostname: url.hostname,
-      path: url.pathname + url.search,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'We-ather App (contact: your-email@example.com)',
-        'Accept': 'application/json'
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      // Handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return resolve(makeRequest(res.headers.location));
-      }
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        try {
-          if (res.statusCode === 200) {
-            resolve(JSON.parse(data));
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse response: ${error.message}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(error);
-    });
-    
-    req.end();
-  });
+function clearWeatherCache() {
+  weatherCache.clear();
 }
 
 module.exports = {
-  getWeatherData
+  getWeatherData,
+  getWeatherDataWithCacheInfo,
+  getAlerts,
+  clearWeatherCache,
+  getProvider
 };
-
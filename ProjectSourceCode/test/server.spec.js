@@ -1,6 +1,28 @@
 // ********************** Initialize server **********************************
 
+// Serve weather from the local fixtures so the suite runs without network access
+process.env.WEATHER_PROVIDER = process.env.WEATHER_PROVIDER || 'fixture';
+process.env.GEOCODE_PROVIDER = process.env.GEOCODE_PROVIDER || 'fixture';
+// The whole suite signs up from one address, more often than real visitors may
+process.env.REGISTER_RATE_MAX = process.env.REGISTER_RATE_MAX || '1000';
+
 const app = require('../index'); //Import the Express application
+const weatherService = require('../services/weather');
+const { createCache } = require('../services/cache');
+const storageService = require('../services/storage');
+const { createRateLimiter } = require('../services/rateLimit');
+const { validate } = require('../services/validation');
+const migrations = require('../services/migrations');
+const units = require('../public/js/units');
+const hashtags = require('../public/js/hashtags');
+const notificationService = require('../services/notifications');
+const { db } = require('../services/db');
+const os = require('os');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { SMTPServer } = require('smtp-server');
 
 // ********************** Import Libraries ***********************************
 
@@ -10,6 +32,40 @@ chai.should();
 chai.use(chaiHttp);
 const {assert, expect} = chai;
 
+// ********************** Helpers *********************************************
+
+// Sends the session's CSRF token with an agent's later requests, as pages do
+// through public/js/csrf.js. Resolves to the token. chai-http agents don't
+// apply agent.set() headers, so their state-changing methods are wrapped.
+function useCsrfToken(agent) {
+  return agent.get('/api/csrf-token').then(res => {
+    if (!agent.csrfToken) {
+      ['post', 'put', 'patch', 'delete'].forEach(method => {
+        const request = agent[method].bind(agent);
+        agent[method] = (...args) => request(...args).set('X-CSRF-Token', agent.csrfToken);
+      });
+    }
+    agent.csrfToken = res.body.csrfToken;
+    return agent.csrfToken;
+  });
+}
+
+// Logs an agent in. Login starts a new session with its own CSRF token, so the
+// token is fetched again afterwards. Resolves to the login response.
+async function logIn(agent, username, password) {
+  await useCsrfToken(agent);
+  const res = await agent.post('/login').send({ username, password });
+  await useCsrfToken(agent);
+  return res;
+}
+
+// Registers an account and logs an agent in to it
+async function signUp(agent, username, password, fields = {}) {
+  await useCsrfToken(agent);
+  await agent.post('/register').send({ username, password, ...fields });
+  return logIn(agent, username, password);
+}
+
 // ********************** DEFAULT WELCOME TESTCASE ****************************
 
 describe('Server!', () => {
@@ -32,9 +88,16 @@ describe('Server!', () => {
 // ********************************************************************************
 
 describe('Testing Add User API', () => {
+  const agent = chai.request.agent(app);
+
+  before(() => useCsrfToken(agent));
+
+  after(() => {
+    agent.close();
+  });
+
   it('positive : /register', done => {
-    chai
-      .request(app)
+    agent
       .post('/register')
       .send({
         username: 'testuser',
@@ -47,8 +110,7 @@ describe('Testing Add User API', () => {
   });
 
   it('Negative : /register. Checking invalid name', done => {
-    chai
-      .request(app)
+    agent
       .post('/register')
       .send({
         username: null,
@@ -56,24 +118,38 @@ describe('Testing Add User API', () => {
       })      
       .end((err, res) => {
         expect(res).to.have.status(400);
-        expect(res.body.message).to.equals('Invalid input');
+        expect(res.body.error).to.equals('username is required');
+        expect(res.body.errors).to.deep.equal([{ location: 'body', field: 'username', message: 'username is required' }]);
         done();
       });
   });
+
+  it('negative : /register rejects an invalid email address', async () => {
+    const res = await agent.post('/register').send({ username: `bademail_${Date.now()}`, password: 'testpassword123', email: 'not-an-email' });
+    expect(res).to.have.status(400);
+    expect(res.body.errors).to.deep.equal([{ location: 'body', field: 'email', message: 'Enter a valid email address' }]);
+  });
 });
 
 describe('Testing User Login', () => {
+  const agent = chai.request.agent(app);
+
+  // Logging in changes the session, and with it the CSRF token
+  beforeEach(() => useCsrfToken(agent));
+
+  after(() => {
+    agent.close();
+  });
+
   it('positive : /login with valid credentials', done => {
     const username = `loginuser_${Date.now()}`;
     const password = 'loginpass123';
 
-    chai
-      .request(app)
+    agent
       .post('/register')
       .send({ username, password })
       .end((err, res) => {
-        chai
-          .request(app)
+        agent
           .post('/login')
           .send({ username, password })
             .end((err, res) => {
@@ -87,13 +163,11 @@ describe('Testing User Login', () => {
     const username = `loginuser_${Date.now()}_bad`;
     const password = 'loginpass123';
 
-    chai
-      .request(app)
+    agent
       .post('/register')
       .send({ username, password })
       .end((err, res) => {
-        chai
-          .request(app)
+        agent
           .post('/login')
           .send({ username, password: 'wrongpassword' })
           .end((err, res) => {
@@ -104,24 +178,2515 @@ describe('Testing User Login', () => {
   });
 });
 
-// it('GET /api/weather has code 200', function (done) {
-//   this.timeout(10000);
+describe('Testing Weather API', () => {
+  const agent = chai.request.agent(app);
+  const username = `weatheruser_${Date.now()}`;
+  const password = 'weatherpass123';
+
+  before(done => {
+    signUp(agent, username, password).then(() => done(), done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /api/weather returns forecast from the fixture provider', done => {
+    agent
+      .get('/api/weather')
+      .query({ lat: 40.0066, lon: -105.2633 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.location.city).to.equals('Boulder');
+        expect(res.body.current).to.be.an('object');
+        expect(res.body.forecast).to.be.an('array').that.is.not.empty;
+        done();
+      });
+  });
+
+  it('positive : /api/weather returns the next 48 hourly periods', done => {
+    agent
+      .get('/api/weather')
+      .query({ lat: 40.0066, lon: -105.2633 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.hourly).to.be.an('array').with.lengthOf(48);
+        const hour = res.body.hourly[0];
+        expect(hour).to.include({ temperature: 32, temperatureUnit: 'F', probabilityOfPrecipitation: 0, relativeHumidity: 30 });
+        expect(hour).to.include({ windSpeed: '5 mph', windDirection: 'W' });
+        // The fixture's -6°C dewpoint, converted to the temperature unit
+        expect(hour.dewpoint).to.equals(21);
+        expect(res.body.forecast).to.have.lengthOf(14);
+        done();
+      });
+  });
+
+  it('positive : /api/weather serves repeat requests from the cache', done => {
+    weatherService.clearWeatherCache();
+    agent
+      .get('/api/weather')
+      .query({ lat: 40.0066, lon: -105.2633 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('x-cache', 'MISS');
+        agent
+          .get('/api/weather')
+          .query({ lat: 40.0071, lon: -105.2629 })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res).to.have.header('x-cache', 'HIT');
+            expect(res).to.have.header('age');
+            expect(res).to.have.header('expires');
+            done();
+          });
+      });
+  });
+
+  it('positive : /api/alerts returns normalized alerts, most severe first', done => {
+    agent
+      .get('/api/alerts')
+      .query({ lat: 40.0066, lon: -105.2633 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.lengthOf(2);
+        expect(res.body[0].event).to.equals('Winter Storm Warning');
+        expect(res.body[0].severity).to.equals('Severe');
+        expect(res.body[0]).to.include.keys('headline', 'onset', 'expires', 'area');
+        done();
+      });
+  });
+
+  it('positive : /api/saved-locations/alerts checks every saved location', done => {
+    agent
+      .post('/api/saved-locations')
+      .send({ location_text: 'Boulder, CO' })
+      .end(() => {
+        agent
+          .get('/api/saved-locations/alerts')
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.have.lengthOf(1);
+            expect(res.body[0].location).to.equals('Boulder, CO');
+            expect(res.body[0].alerts[0].event).to.equals('Winter Storm Warning');
+            done();
+          });
+      });
+  });
+
+  it('positive : /api/saved-locations/alerts uses the stored coordinates of saved locations', async () => {
+    // Not a place the geocoder knows, so only the stored coordinates can find its alerts
+    await db.none(`
+      INSERT INTO user_saved_locations (user_id, location_text, latitude, longitude)
+      SELECT id, 'Our cabin', 40.0, -105.5 FROM users WHERE username = $1
+    `, [username]);
+    const res = await agent.get('/api/saved-locations/alerts');
+    expect(res).to.have.status(200);
+    const cabin = res.body.find(result => result.location === 'Our cabin');
+    expect(cabin).to.not.have.property('error');
+    expect(cabin.alerts[0].event).to.equals('Winter Storm Warning');
+  });
+
+  it('negative : /api/alerts without coordinates', done => {
+    agent
+      .get('/api/alerts')
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        done();
+      });
+  });
+
+  it('negative : /api/weather without coordinates', done => {
+    agent
+      .get('/api/weather')
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('lat is required');
+        expect(res.body.errors).to.deep.equal([
+          { location: 'query', field: 'lat', message: 'lat is required' },
+          { location: 'query', field: 'lon', message: 'lon is required' }
+        ]);
+        done();
+      });
+  });
+});
+
+describe('Testing Geocode API', () => {
+  const agent = chai.request.agent(app);
+  const username = `geocodeuser_${Date.now()}`;
+  const password = 'geocodepass123';
+
+  before(done => {
+    signUp(agent, username, password).then(() => done(), done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /api/geocode returns normalized "City, ST" places', done => {
+    agent
+      .get('/api/geocode')
+      .query({ q: 'Louisville' })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        const names = res.body.map(place => place.name);
+        expect(names).to.include.members(['Louisville, CO', 'Louisville, KY']);
+        expect(res.body[0].latitude).to.be.a('number');
+        done();
+      });
+  });
+
+  it('positive : /api/locations autocompletes from geocoded places', done => {
+    agent
+      .get('/api/geocode')
+      .query({ q: 'Boulder, CO' })
+      .end(() => {
+        agent
+          .get('/api/locations')
+          .query({ query: 'Boul' })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.include('Boulder, CO');
+            done();
+          });
+      });
+  });
+
+  it('positive : /api/geocode/reverse finds the nearest place', done => {
+    agent
+      .get('/api/geocode/reverse')
+      .query({ lat: 40.015, lon: -105.27 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.name).to.equals('Boulder, CO');
+        done();
+      });
+  });
+
+  it('positive : /api/geocode only answers from stored places on an exact match', async () => {
+    await db.none(`
+      INSERT INTO locations (name, city, state, latitude, longitude)
+      VALUES ('Boulder City, NV', 'Boulder City', 'NV', 35.97, -114.83)
+      ON CONFLICT (name) DO NOTHING
+    `);
+    const res = await agent.get('/api/geocode').query({ q: 'Boulder', limit: 1 });
+    expect(res).to.have.status(200);
+    expect(res.body.map(place => place.name)).to.deep.equal(['Boulder, CO']);
+  });
+
+  it('negative : /api/geocode matches wildcard characters literally', async () => {
+    await db.none(`
+      INSERT INTO locations (name, city, state, latitude, longitude)
+      VALUES ('Zqax, ZZ', 'Zqax', 'ZZ', 10, 10)
+      ON CONFLICT (name) DO NOTHING
+    `);
+    const res = await agent.get('/api/geocode').query({ q: 'Zq_x' });
+    expect(res).to.have.status(200);
+    expect(res.body).to.deep.equal([]);
+  });
+
+  it('negative : /api/geocode without a query', done => {
+    agent
+      .get('/api/geocode')
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('q is required');
+        done();
+      });
+  });
+});
+
+describe('Testing Posts API', () => {
+  const agent = chai.request.agent(app);
+  const username = `postsuser_${Date.now()}`;
+  const password = 'postspass123';
+
+  before(done => {
+    signUp(agent, username, password).then(() => done(), done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /api/posts snapshots the current weather for posts with coordinates', done => {
+    agent
+      .post('/api/posts')
+      .send({ content: 'Look at this storm', location: 'Boulder, CO', latitude: 40.0066, longitude: -105.2633 })
+      .end((err, res) => {
+        expect(res).to.have.status(201);
+        expect(res.body.post.weather_temperature).to.be.a('number');
+        expect(res.body.post.weather_temperature_unit).to.equals('F');
+        expect(res.body.post.weather_short_forecast).to.be.a('string');
+        expect(res.body.post.weather_captured_at).to.not.equal(null);
+        done();
+      });
+  });
+
+  it('negative : /api/posts without coordinates has no weather snapshot', done => {
+    agent
+      .post('/api/posts')
+      .send({ content: 'No location on this one' })
+      .end((err, res) => {
+        expect(res).to.have.status(201);
+        expect(res.body.post.weather_temperature).to.equal(null);
+        done();
+      });
+  });
+});
+
+describe('Testing Posts Pagination', () => {
+  const agent = chai.request.agent(app);
+  const username = `pageuser_${Date.now()}`;
+  const password = 'pagepass123';
+  let userId;
+
+  before(done => {
+    signUp(agent, username, password).then(() => {
+      // Create five posts one after another
+      const create = (n) => {
+        if (n === 0) return done();
+        agent
+          .post('/api/posts')
+          .send({ content: `Report ${n}` })
+          .end((err, res) => {
+            userId = res.body.post.user_id;
+            create(n - 1);
+          });
+      };
+      create(5);
+    }, done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /api/posts pages through posts with next_cursor', done => {
+    agent
+      .get('/api/posts')
+      .query({ user_id: userId, limit: 2 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.posts).to.have.lengthOf(2);
+        expect(res.body.next_cursor).to.be.a('string');
+        const firstPage = res.body.posts.map(post => post.id);
+        agent
+          .get('/api/posts')
+          .query({ user_id: userId, limit: 3, cursor: res.body.next_cursor })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body.posts).to.have.lengthOf(3);
+            expect(res.body.next_cursor).to.equal(null);
+            const ids = firstPage.concat(res.body.posts.map(post => post.id));
+            expect(new Set(ids).size).to.equals(5);
+            expect(ids).to.deep.equal([...ids].sort((a, b) => b - a));
+            done();
+          });
+      });
+  });
+
+  it('negative : /api/posts with a malformed cursor', done => {
+    agent
+      .get('/api/posts')
+      .query({ cursor: 'not-a-cursor' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('Invalid cursor');
+        expect(res.body.errors[0]).to.include({ location: 'query', field: 'cursor' });
+        done();
+      });
+  });
+});
+
+describe('Testing Nearby Posts', () => {
+  const agent = chai.request.agent(app);
+  const username = `nearbyuser_${Date.now()}`;
+  const password = 'nearbypass123';
+  const places = [
+    { content: 'Denver report', location: 'Denver, CO', latitude: 39.7392, longitude: -104.9903 },
+    { content: 'Louisville report', location: 'Louisville, CO', latitude: 39.9778, longitude: -105.1319 },
+    { content: 'Boulder report', location: 'Boulder, CO', latitude: 40.015, longitude: -105.2705 },
+    { content: 'Report without coordinates' }
+  ];
+  let userId;
+
+  before(done => {
+    signUp(agent, username, password).then(() => {
+      const create = (index) => {
+        if (index === places.length) return done();
+        agent
+          .post('/api/posts')
+          .send(places[index])
+          .end((err, res) => {
+            userId = res.body.post.user_id;
+            create(index + 1);
+          });
+      };
+      create(0);
+    }, done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /api/posts within a radius is sorted by distance', done => {
+    agent
+      .get('/api/posts')
+      .query({ user_id: userId, lat: 40.0150, lon: -105.2705, radius_km: 20 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.posts.map(post => post.content)).to.deep.equal(['Boulder report', 'Louisville report']);
+        expect(res.body.posts[0].distance_km).to.be.below(0.1);
+        expect(res.body.posts[1].distance_km).to.be.within(10, 20);
+        done();
+      });
+  });
+
+  it('positive : /api/posts pages through nearby posts with next_cursor', done => {
+    agent
+      .get('/api/posts')
+      .query({ user_id: userId, lat: 40.0150, lon: -105.2705, radius_km: 50, limit: 2 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.posts.map(post => post.content)).to.deep.equal(['Boulder report', 'Louisville report']);
+        agent
+          .get('/api/posts')
+          .query({ user_id: userId, lat: 40.0150, lon: -105.2705, radius_km: 50, limit: 2, cursor: res.body.next_cursor })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body.posts.map(post => post.content)).to.deep.equal(['Denver report']);
+            expect(res.body.next_cursor).to.equal(null);
+            done();
+          });
+      });
+  });
+
+  it('positive : /api/posts within a bounding box', done => {
+    agent
+      .get('/api/posts')
+      .query({ user_id: userId, bbox: '-105.2,39.5,-104.5,40.0' })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.posts.map(post => post.content)).to.have.members(['Denver report', 'Louisville report']);
+        done();
+      });
+  });
+
+  it('negative : /api/posts with a radius but no center', done => {
+    agent
+      .get('/api/posts')
+      .query({ radius_km: 10 })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('radius_km requires lat and lon');
+        done();
+      });
+  });
+});
+
+describe('Testing Posts Map', () => {
+  const agent = chai.request.agent(app);
+  const username = `mapuser_${Date.now()}`;
+  const password = 'mappass123';
+  let postId;
+
+  before(done => {
+    signUp(agent, username, password).then(() => {
+      agent
+        .post('/api/posts')
+        .send({ content: 'Fog on the Flatirons', location: 'Boulder, CO', latitude: 40.015, longitude: -105.2705 })
+        .end((err, res) => {
+          postId = res.body.post.id;
+          done();
+        });
+    }, done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /map renders the map page', done => {
+    agent
+      .get('/map')
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include('posts-map');
+        done();
+      });
+  });
+
+  it('positive : /api/posts.geojson returns posts inside the bbox as features', done => {
+    agent
+      .get('/api/posts.geojson')
+      .query({ bbox: '-105.5,39.8,-105.0,40.2' })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('content-type', /application\/geo\+json/);
+        const body = JSON.parse(res.text);
+        expect(body.type).to.equals('FeatureCollection');
+        const feature = body.features.find(f => f.id === postId);
+        expect(feature.geometry).to.deep.equal({ type: 'Point', coordinates: [-105.2705, 40.015] });
+        expect(feature.properties.username).to.equals(username);
+        done();
+      });
+  });
+
+  it('positive : /api/posts.geojson accepts a bbox reaching past the edges of the world', async () => {
+    // Zoomed far out, and panned once around the world
+    for (const bbox of ['-400,-120,400,120', '254.5,39.8,255,40.2']) {
+      const res = await agent.get('/api/posts.geojson').query({ bbox });
+      expect(res).to.have.status(200);
+      expect(JSON.parse(res.text).features.map(f => f.id)).to.include(postId);
+    }
+  });
+
+  it('negative : /api/posts.geojson with a malformed bbox', done => {
+    agent
+      .get('/api/posts.geojson')
+      .query({ bbox: '-105.5,39.8' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('bbox must be west,south,east,north');
+        done();
+      });
+  });
+});
+
+describe('Testing Post Images', () => {
+  const agent = chai.request.agent(app);
+  const username = `imageuser_${Date.now()}`;
+  const password = 'imagepass123';
+  const uploadsDir = path.join(__dirname, '../uploads');
+  let photo;
+
+  before(done => {
+    // A small JPEG tagged with the GPS position of Boulder, CO
+    sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#4a90d9' } })
+      .jpeg()
+      .withExif({
+        IFD0: { Make: 'TestCam' },
+        IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '40/1 0/1 54/1', GPSLongitudeRef: 'W', GPSLongitude: '105/1 16/1 14/1' }
+      })
+      .toBuffer()
+      .then(buffer => {
+        photo = buffer;
+        return signUp(agent, username, password);
+      })
+      .then(() => done(), done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /api/posts re-encodes photos without EXIF, uses their GPS, and deletes every size', done => {
+    agent
+      .post('/api/posts')
+      .field('content', 'Blue skies')
+      .attach('images', photo, { filename: 'sky.jpg', contentType: 'image/jpeg' })
+      .end((err, res) => {
+        expect(res).to.have.status(201);
+        const post = res.body.post;
+        expect(post.images).to.have.lengthOf(1);
+        expect(post.images[0].filename).to.match(/-display\.webp$/);
+        expect(post.images[0].thumb_filename).to.match(/-thumb\.webp$/);
+        expect(parseFloat(post.latitude)).to.be.closeTo(40.015, 0.001);
+        expect(parseFloat(post.longitude)).to.be.closeTo(-105.2706, 0.001);
+
+        const displayPath = path.join(uploadsDir, post.images[0].filename);
+        const thumbPath = path.join(uploadsDir, post.images[0].thumb_filename);
+        Promise.all([sharp(displayPath).metadata(), sharp(thumbPath).metadata()])
+          .then(([display, thumb]) => {
+            expect(display.format).to.equals('webp');
+            expect(display.width).to.equals(1600);
+            expect(display.exif).to.equal(undefined);
+            expect(thumb.width).to.equals(480);
+            agent
+              .delete(`/api/posts/${post.id}`)
+              .end((err, res) => {
+                expect(res).to.have.status(200);
+                expect(fs.existsSync(displayPath)).to.equals(false);
+                expect(fs.existsSync(thumbPath)).to.equals(false);
+                done();
+              });
+          })
+          .catch(done);
+      });
+  });
+
+  it('negative : /api/posts rejects files that are not really images', done => {
+    agent
+      .post('/api/posts')
+      .field('content', 'Not a photo')
+      .attach('images', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'), { filename: 'sky.png', contentType: 'image/png' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('Only JPEG, PNG, GIF and WebP images are allowed');
+        done();
+      });
+  });
+
+  it('positive : /api/posts/:id/images adds, reorders and removes a post\'s images', done => {
+    agent
+      .post('/api/posts')
+      .field('content', 'Before and after')
+      .attach('images', photo, { filename: 'before.jpg', contentType: 'image/jpeg' })
+      .attach('images', photo, { filename: 'after.jpg', contentType: 'image/jpeg' })
+      .end((err, res) => {
+        expect(res).to.have.status(201);
+        const postId = res.body.post.id;
+        const [first, second] = res.body.post.images;
+        expect(res.body.post.images.map(image => image.position)).to.deep.equal([0, 1]);
+        agent
+          .post(`/api/posts/${postId}/images`)
+          .attach('images', photo, { filename: 'later.jpg', contentType: 'image/jpeg' })
+          .end((err, res) => {
+            expect(res).to.have.status(201);
+            expect(res.body.images).to.have.lengthOf(3);
+            const third = res.body.images[2];
+            agent
+              .put(`/api/posts/${postId}/images/order`)
+              .send({ image_ids: [third.id, first.id, second.id] })
+              .end((err, res) => {
+                expect(res).to.have.status(200);
+                expect(res.body.images.map(image => image.id)).to.deep.equal([third.id, first.id, second.id]);
+                agent
+                  .delete(`/api/posts/${postId}/images/${first.id}`)
+                  .end((err, res) => {
+                    expect(res).to.have.status(200);
+                    expect(res.body.images.map(image => image.id)).to.deep.equal([third.id, second.id]);
+                    expect(res.body.images.map(image => image.position)).to.deep.equal([0, 1]);
+                    expect(fs.existsSync(path.join(uploadsDir, first.filename))).to.equals(false);
+                    done();
+                  });
+              });
+          });
+      });
+  });
+
+  it('negative : /api/posts rejects more images than a post can carry', done => {
+    let request = agent.post('/api/posts').field('content', 'Too many photos');
+    for (let i = 0; i < 5; i++) {
+      request = request.attach('images', photo, { filename: `photo${i}.jpg`, contentType: 'image/jpeg' });
+    }
+    request.end((err, res) => {
+      expect(res).to.have.status(400);
+      expect(res.body.error).to.equals('A post can have at most 4 images');
+      done();
+    });
+  });
+});
+
+describe('Testing Upload Storage', () => {
+  const key = `storage-test-${Date.now()}.webp`;
+
+  after(() => storageService.removeObjects([key]));
+
+  it('positive : /uploads/:key serves objects from upload storage', done => {
+    storageService.putObject(key, Buffer.from('RIFF0000WEBPtest'), 'image/webp').then(() => {
+      chai
+        .request(app)
+        .get(`/uploads/${key}`)
+        .buffer()
+        .end((err, res) => {
+          expect(res).to.have.status(200);
+          expect(res).to.have.header('content-type', 'image/webp');
+          expect(res).to.have.header('cache-control', /immutable/);
+          storageService.removeObjects([key]).then(() => {
+            chai
+              .request(app)
+              .get(`/uploads/${key}`)
+              .end((err, res) => {
+                expect(res).to.have.status(404);
+                done();
+              });
+          });
+        });
+    }).catch(done);
+  });
+
+  it('negative : /uploads/:key rejects keys that are not plain filenames', done => {
+    chai
+      .request(app)
+      .get('/uploads/..%2Findex.js')
+      .end((err, res) => {
+        expect(res).to.have.status(404);
+        expect(storageService.isValidKey('../index.js')).to.equals(false);
+        done();
+      });
+  });
+});
 
-//   const lat = 40.0065865220012;
-//   const lon = -105.26331967016468;
+describe('Testing Preferences', () => {
+  const agent = chai.request.agent(app);
+  const username = `prefsuser_${Date.now()}`;
+  const password = 'prefspass123';
 
-//   chai
-//     .request(app)
-//     .get('/api/weather')
-//     .query({ lat, lon })
-//     .end((err, res) => {
-//       if (err) return done(err);
+  before(done => {
+    signUp(agent, username, password).then(() => done(), done);
+  });
 
-//       expect(res).to.have.status(200);
-//       // expect(res).to.be.json;
-//       // expect(res.body).to.be.an('object');
+  after(() => {
+    agent.close();
+  });
 
-//       done();
-      
-//     });
-// });
\ No newline at end of file
+  it('positive : units converts temperatures and wind speeds', () => {
+    const prefs = { temperature_unit: 'C', wind_unit: 'km/h' };
+    expect(units.formatTemperature(32, 'F', prefs)).to.equals('0°C');
+    expect(units.formatTemperature(0, 'C', {})).to.equals('32°F');
+    expect(units.formatTemperature(null, 'F', prefs)).to.equals('');
+    expect(units.formatWind('5 to 10 mph', prefs)).to.equals('8 to 16 km/h');
+    expect(units.formatWind('10 mph NW', {})).to.equals('10 mph NW');
+  });
+
+  it('positive : units formats times in the preferred clock and timezone', () => {
+    const date = '2025-11-20T13:05:00Z';
+    expect(units.formatTime(date, { time_format: '24h', timezone: 'America/Denver' })).to.equals('06:05');
+    expect(units.formatTime(date, { time_format: '12h', timezone: 'UTC' }, { hour: 'numeric' })).to.match(/^1\sPM$/);
+    expect(units.isSameDay('2025-11-20T01:00:00Z', '2025-11-19T20:00:00Z', { timezone: 'America/Denver' })).to.equals(true);
+    expect(units.isValidTimezone('Mars/Olympus_Mons')).to.equals(false);
+  });
+
+  it('positive : /api/preferences returns the defaults for a new user', done => {
+    agent
+      .get('/api/preferences')
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body).to.deep.equal(units.DEFAULT_PREFERENCES);
+        done();
+      });
+  });
+
+  it('positive : /api/preferences updates only the fields sent', done => {
+    agent
+      .put('/api/preferences')
+      .send({ temperature_unit: 'C', time_format: '24h', timezone: 'Europe/Paris' })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body).to.include({ temperature_unit: 'C', wind_unit: 'mph', time_format: '24h', timezone: 'Europe/Paris' });
+        agent
+          .put('/api/preferences')
+          .send({ wind_unit: 'km/h' })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body).to.include({ temperature_unit: 'C', wind_unit: 'km/h', timezone: 'Europe/Paris' });
+            done();
+          });
+      });
+  });
+
+  it('positive : the default location is one of the saved locations', done => {
+    agent
+      .post('/api/saved-locations')
+      .send({ location_text: 'Boulder, CO' })
+      .end(() => {
+        agent
+          .put('/api/preferences')
+          .send({ default_location: 'Boulder, CO' })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body.default_location).to.equals('Boulder, CO');
+            // Deleting the saved location clears the default
+            agent
+              .delete('/api/saved-locations')
+              .send({ location_text: 'Boulder, CO' })
+              .end(() => {
+                agent
+                  .get('/api/preferences')
+                  .end((err, res) => {
+                    expect(res.body.default_location).to.equals(null);
+                    done();
+                  });
+              });
+          });
+      });
+  });
+
+  it('positive : server-rendered dates use the preferred clock and timezone', done => {
+    agent
+      .put('/api/preferences')
+      .send({ time_format: '24h', timezone: 'Asia/Tokyo' })
+      .end((err, res) => {
+        const preferences = res.body;
+        agent
+          .get(`/api/users/${username}`)
+          .end((err, res) => {
+            const expected = units.formatDateTime(res.body.created_at, preferences);
+            agent
+              .get(`/users/${username}`)
+              .end((err, res) => {
+                expect(res).to.have.status(200);
+                expect(res.text).to.include(`Member since ${expected}`);
+                expect(res.text).to.include('data-preferences=');
+                done();
+              });
+          });
+      });
+  });
+
+  it('positive : /settings renders the settings page', done => {
+    agent
+      .get('/settings')
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include('id="preferences-form"');
+        done();
+      });
+  });
+
+  it('negative : /api/preferences rejects unknown values', done => {
+    agent
+      .put('/api/preferences')
+      .send({ temperature_unit: 'K' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('temperature_unit must be one of F, C');
+        agent
+          .put('/api/preferences')
+          .send({ timezone: 'Mars/Olympus_Mons' })
+          .end((err, res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equals('Unknown timezone');
+            done();
+          });
+      });
+  });
+
+  it('negative : /api/preferences rejects a default location that is not saved', done => {
+    agent
+      .put('/api/preferences')
+      .send({ default_location: 'Nowhere, ZZ' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('Default location must be one of your saved locations');
+        done();
+      });
+  });
+});
+
+describe('Testing Account Management', () => {
+  const username = `accountuser_${Date.now()}`;
+  const password = 'accountpass123';
+  const uploadsDir = path.join(__dirname, '../uploads');
+  const agent = chai.request.agent(app);
+  const otherAgent = chai.request.agent(app);
+
+  // Logs a client in from a recognisable user agent, like logIn
+  function login(client, pass, done) {
+    useCsrfToken(client)
+      .then(() => client.post('/login').set('User-Agent', 'AccountTest').send({ username, password: pass }))
+      .then(() => useCsrfToken(client))
+      .then(() => done(), done);
+  }
+
+  before(done => {
+    useCsrfToken(agent)
+      .then(() => agent.post('/register').send({ username, password }))
+      .then(() => login(agent, password, () => login(otherAgent, password, done)), done);
+  });
+
+  after(() => {
+    agent.close();
+    otherAgent.close();
+  });
+
+  it('positive : sessions are stored in Postgres without the password hash', () => {
+    return db.any(`
+      SELECT s.sess, s.user_agent FROM sessions s JOIN users u ON u.id = s.user_id WHERE u.username = $1
+    `, [username]).then(rows => {
+      expect(rows).to.have.lengthOf(2);
+      rows.forEach(row => {
+        expect(row.sess.user).to.deep.include({ username });
+        expect(row.sess.user).to.not.have.property('password');
+        expect(row.user_agent).to.equals('AccountTest');
+      });
+    });
+  });
+
+  it('positive : /api/account/sessions lists sessions and revokes another one', done => {
+    agent
+      .get('/api/account/sessions')
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.lengthOf(2);
+        expect(res.body[0]).to.not.have.property('sid');
+        const other = res.body.find(session => !session.current);
+        expect(res.body.filter(session => session.current)).to.have.lengthOf(1);
+        agent
+          .delete(`/api/account/sessions/${other.id}`)
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            otherAgent
+              .get('/api/preferences')
+              .end((err, res) => {
+                expect(res).to.have.status(401);
+                done();
+              });
+          });
+      });
+  });
+
+  it('negative : /api/account/sessions/:id cannot revoke another user\'s session', done => {
+    db.one('SELECT id FROM sessions WHERE user_id IS DISTINCT FROM (SELECT id FROM users WHERE username = $1) LIMIT 1', [username])
+      .then(row => {
+        agent
+          .delete(`/api/account/sessions/${row.id}`)
+          .end((err, res) => {
+            expect(res).to.have.status(404);
+            done();
+          });
+      })
+      .catch(done);
+  });
+
+  it('negative : /api/account/password requires the current password', done => {
+    agent
+      .put('/api/account/password')
+      .send({ current_password: 'wrongpass', new_password: 'newaccountpass' })
+      .end((err, res) => {
+        expect(res).to.have.status(403);
+        expect(res.body.error).to.equals('Current password is incorrect');
+        done();
+      });
+  });
+
+  it('positive : /api/account/password changes the password and signs out other sessions', done => {
+    login(otherAgent, password, () => {
+      agent
+        .put('/api/account/password')
+        .send({ current_password: password, new_password: 'newaccountpass' })
+        .end((err, res) => {
+          expect(res).to.have.status(200);
+          expect(res.body.sessions_revoked).to.equals(1);
+          otherAgent
+            .get('/api/preferences')
+            .end((err, res) => {
+              expect(res).to.have.status(401);
+              const client = chai.request.agent(app);
+              useCsrfToken(client)
+                .then(() => client.post('/login').redirects(0).send({ username, password: 'newaccountpass' }))
+                .then(res => {
+                  expect(res).to.redirectTo('/home');
+                  client.close();
+                  done();
+                })
+                .catch(done);
+            });
+        });
+    });
+  });
+
+  it('negative : /api/account requires the password', done => {
+    agent
+      .delete('/api/account')
+      .send({ password })
+      .end((err, res) => {
+        expect(res).to.have.status(403);
+        expect(res.body.error).to.equals('Password is incorrect');
+        done();
+      });
+  });
+
+  it('positive : /api/account deletes the user, their posts and their photos', done => {
+    sharp({ create: { width: 200, height: 100, channels: 3, background: '#4a90d9' } })
+      .png()
+      .toBuffer()
+      .then(photo => {
+        agent
+          .post('/api/posts')
+          .field('content', 'Leaving soon')
+          .attach('images', photo, { filename: 'sky.png', contentType: 'image/png' })
+          .end((err, res) => {
+            expect(res).to.have.status(201);
+            const image = res.body.post.images[0];
+            agent
+              .delete('/api/account')
+              .send({ password: 'newaccountpass' })
+              .end((err, res) => {
+                expect(res).to.have.status(200);
+                expect(fs.existsSync(path.join(uploadsDir, image.filename))).to.equals(false);
+                expect(fs.existsSync(path.join(uploadsDir, image.thumb_filename))).to.equals(false);
+                db.oneOrNone('SELECT id FROM users WHERE username = $1', [username])
+                  .then(user => {
+                    expect(user).to.equals(null);
+                    agent
+                      .get('/api/preferences')
+                      .end((err, res) => {
+                        expect(res).to.have.status(401);
+                        done();
+                      });
+                  })
+                  .catch(done);
+              });
+          });
+      })
+      .catch(done);
+  });
+});
+
+describe('Testing Password Reset', () => {
+  const username = `resetuser_${Date.now()}`;
+  const email = `${username}@example.com`;
+  const password = 'resetpass123';
+  const agent = chai.request.agent(app);
+  // Requests the reset link without being logged in
+  const visitor = chai.request.agent(app);
+  const smtpEnv = { SMTP_HOST: process.env.SMTP_HOST, SMTP_PORT: process.env.SMTP_PORT };
+  // A local SMTP catcher standing in for MailHog
+  const inbox = [];
+  const waiting = [];
+  let smtpServer;
+  let resetToken;
+
+  function nextMail() {
+    return new Promise(resolve => inbox.length ? resolve(inbox.shift()) : waiting.push(resolve));
+  }
+
+  // Undoes quoted-printable soft line breaks and escapes
+  function decodeBody(raw) {
+    return raw.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  before(done => {
+    smtpServer = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, session, callback) {
+        let raw = '';
+        stream.on('data', chunk => { raw += chunk; });
+        stream.on('end', () => {
+          const mail = { to: session.envelope.rcptTo.map(rcpt => rcpt.address), body: decodeBody(raw) };
+          waiting.length ? waiting.shift()(mail) : inbox.push(mail);
+          callback();
+        });
+      }
+    });
+    smtpServer.listen(0, '127.0.0.1', () => {
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(smtpServer.server.address().port);
+      signUp(agent, username, password, { email })
+        .then(() => useCsrfToken(visitor))
+        .then(() => done(), done);
+    });
+  });
+
+  after(done => {
+    agent.close();
+    visitor.close();
+    Object.entries(smtpEnv).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    smtpServer.close(done);
+  });
+
+  it('positive : /forgot-password emails a single reset link', done => {
+    visitor
+      .post('/forgot-password')
+      .type('form')
+      .send({ identifier: email.toUpperCase() })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include('a reset link is on its way');
+        nextMail().then(mail => {
+          expect(mail.to).to.deep.equal([email]);
+          expect(mail.body).to.include('Subject: Reset your We-ather password');
+          const match = /http:\/\/localhost:3000\/reset-password\/([a-f0-9]{64})/.exec(mail.body);
+          expect(match).to.not.equal(null);
+          resetToken = match[1];
+          return db.any(`
+            SELECT t.token_hash FROM password_reset_tokens t JOIN users u ON u.id = t.user_id WHERE u.username = $1
+          `, [username]);
+        }).then(rows => {
+          // Only the hash is stored
+          expect(rows).to.have.lengthOf(1);
+          expect(rows[0].token_hash).to.not.equal(resetToken);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('negative : /forgot-password gives nothing away about unknown accounts', done => {
+    visitor
+      .post('/forgot-password')
+      .type('form')
+      .send({ identifier: 'nobody@example.com' })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include('a reset link is on its way');
+        done();
+      });
+  });
+
+  it('negative : /forgot-password limits requests for the same account', async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await visitor.post('/forgot-password').type('form').send({ identifier: 'Flooded@example.com' });
+      expect(res).to.have.status(200);
+    }
+    const res = await visitor.post('/forgot-password').type('form').send({ identifier: 'flooded@example.com' });
+    expect(res).to.have.status(429);
+    expect(res).to.have.header('retry-after');
+    expect(res.text).to.include('Too many password reset requests.');
+  });
+
+  it('negative : /forgot-password rejects an identifier sent as a list', async () => {
+    const res = await visitor.post('/forgot-password').type('form').send('identifier[]=nobody@example.com');
+    expect(res).to.have.status(400);
+    expect(res.text).to.include('Enter your username or email address.');
+  });
+
+  it('negative : /reset-password/:token rejects mismatched passwords', done => {
+    visitor
+      .post(`/reset-password/${resetToken}`)
+      .type('form')
+      .send({ password: 'newresetpass', confirm_password: 'different' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.text).to.include('Passwords do not match.');
+        done();
+      });
+  });
+
+  it('negative : /reset-password/:token rejects a password sent as a list', async () => {
+    const res = await visitor.post(`/reset-password/${resetToken}`).type('form')
+      .send('password[]=newresetpass&confirm_password=newresetpass');
+    expect(res).to.have.status(400);
+    expect(res.text).to.include('Enter a new password.');
+  });
+
+  it('positive : /reset-password/:token sets the password once and signs out sessions', done => {
+    chai
+      .request(app)
+      .get(`/reset-password/${resetToken}`)
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include('name="confirm_password"');
+        expect(res.text).to.include('name="_csrf"');
+        visitor
+          .post(`/reset-password/${resetToken}`)
+          .type('form')
+          .send({ password: 'newresetpass', confirm_password: 'newresetpass' })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.text).to.include('Your password has been reset.');
+            agent
+              .get('/api/preferences')
+              .end((err, res) => {
+                expect(res).to.have.status(401);
+                visitor
+                  .post(`/reset-password/${resetToken}`)
+                  .type('form')
+                  .send({ password: 'another', confirm_password: 'another' })
+                  .end((err, res) => {
+                    expect(res).to.have.status(400);
+                    expect(res.text).to.include('invalid or has expired');
+                    visitor
+                      .post('/login')
+                      .redirects(0)
+                      .send({ username, password: 'newresetpass' })
+                      .end((err, res) => {
+                        expect(res).to.redirectTo('/home');
+                        done();
+                      });
+                  });
+              });
+          });
+      });
+  });
+
+  it('negative : /reset-password/:token rejects expired tokens', done => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    db.none(`
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+      SELECT id, $2, NOW() - INTERVAL '1 minute' FROM users WHERE username = $1
+    `, [username, tokenHash]).then(() => {
+      chai
+        .request(app)
+        .get(`/reset-password/${token}`)
+        .end((err, res) => {
+          expect(res).to.have.status(400);
+          expect(res.text).to.include('invalid or has expired');
+          done();
+        });
+    }).catch(done);
+  });
+
+  it('negative : /api/account/email rejects invalid and taken addresses', done => {
+    const other = chai.request.agent(app);
+    const otherName = `resetother_${Date.now()}`;
+    signUp(other, otherName, password).then(() => {
+      other
+        .put('/api/account/email')
+        .send({ email: 'not-an-email' })
+        .end((err, res) => {
+          expect(res).to.have.status(400);
+          expect(res.body.error).to.equals('Enter a valid email address');
+          other
+            .put('/api/account/email')
+            .send({ email: email.toUpperCase() })
+            .end((err, res) => {
+              expect(res).to.have.status(409);
+              other.close();
+              done();
+            });
+        });
+    }, done);
+  });
+});
+
+describe('Testing Login Protection', () => {
+  const username = `lockuser_${Date.now()}`;
+  const password = 'lockpass123';
+
+  // Each attempt comes from a new visitor, as a successful login changes the CSRF token
+  async function login(pass) {
+    const client = chai.request.agent(app);
+    await useCsrfToken(client);
+    const res = await client.post('/login').redirects(0).send({ username, password: pass });
+    client.close();
+    return res;
+  }
+
+  before(() => {
+    const client = chai.request.agent(app);
+    return useCsrfToken(client)
+      .then(() => client.post('/register').send({ username, password }))
+      .then(() => client.close());
+  });
+
+  it('positive : createRateLimiter limits hits per key within a window', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+    expect(limiter.hit('a').limited).to.equals(false);
+    expect(limiter.hit('a').limited).to.equals(false);
+    expect(limiter.check('a').limited).to.equals(true);
+    expect(limiter.check('a').retryAfterMs).to.be.within(1, 60000);
+    expect(limiter.hit('a').limited).to.equals(true);
+    limiter.undo('a');
+    expect(limiter.check('a').remaining).to.equals(0);
+    expect(limiter.check('b').limited).to.equals(false);
+    limiter.reset('a');
+    expect(limiter.check('a').remaining).to.equals(2);
+  });
+
+  it('negative : /login rejects unknown usernames like wrong passwords', async () => {
+    const client = chai.request.agent(app);
+    await useCsrfToken(client);
+    const res = await client.post('/login').send({ username: `nobody_${Date.now()}`, password: 'whatever' });
+    client.close();
+    expect(res).to.have.status(401);
+    expect(res.text).to.include('Invalid username or password.');
+  });
+
+  it('negative : /login locks a username after repeated failures', async () => {
+    for (let i = 1; i < 5; i++) {
+      const res = await login('wrongpassword');
+      expect(res).to.have.status(401);
+    }
+    const fifth = await login('wrongpassword');
+    expect(fifth).to.have.status(429);
+    expect(fifth.text).to.include('The account is now locked for 1 minute.');
+
+    // Even the right password is refused while locked
+    const locked = await login(password);
+    expect(locked).to.have.status(429);
+    expect(locked).to.have.header('retry-after');
+    expect(locked.text).to.include('This account is locked after too many failed logins.');
+
+    const attempts = await db.any('SELECT outcome FROM login_attempts WHERE username = $1 ORDER BY id', [username]);
+    expect(attempts.map(a => a.outcome)).to.deep.equal(Array(5).fill('invalid_password').concat('locked'));
+  });
+
+  it('positive : /login works again once the lock expires', async () => {
+    await db.none("UPDATE login_attempts SET created_at = created_at - INTERVAL '2 minutes' WHERE username = $1", [username]);
+    const res = await login(password);
+    expect(res).to.redirectTo('/home');
+
+    // The count starts over after a successful login
+    const failed = await login('wrongpassword');
+    expect(failed).to.have.status(401);
+  });
+
+  it('negative : /login counts concurrent guesses before checking any of them', async () => {
+    const target = `burstuser_${Date.now()}`;
+    const client = chai.request.agent(app);
+    await useCsrfToken(client);
+    await client.post('/register').send({ username: target, password });
+    client.close();
+
+    const clients = [];
+    for (let i = 0; i < 15; i++) {
+      const burstClient = chai.request.agent(app);
+      await useCsrfToken(burstClient);
+      clients.push(burstClient);
+    }
+    const responses = await Promise.all(clients.map(burstClient =>
+      burstClient.post('/login').redirects(0).send({ username: target, password: 'wrongpassword' })
+    ));
+    clients.forEach(burstClient => burstClient.close());
+
+    responses.forEach(res => expect(res.status).to.be.oneOf([401, 429]));
+    // Only the guesses up to the lockout threshold got their password checked
+    const { count } = await db.one(
+      "SELECT COUNT(*)::int AS count FROM login_attempts WHERE username = $1 AND outcome = 'invalid_password'",
+      [target]
+    );
+    expect(count).to.equals(5);
+  });
+
+  it('negative : /api/posts slows down users who post too quickly', done => {
+    const agent = chai.request.agent(app);
+    logIn(agent, username, password).then(() => {
+      const create = (n) => {
+        agent
+          .post('/api/posts')
+          .send({ content: `Spam ${n}` })
+          .end((err, res) => {
+            if (n < 10) {
+              expect(res).to.have.status(201);
+              return create(n + 1);
+            }
+            expect(res).to.have.status(429);
+            expect(res.body.error).to.match(/^You're posting too quickly\. Try again in (\d+ seconds|1 minute)\.$/);
+            agent.close();
+            done();
+          });
+      };
+      create(0);
+    }, done);
+  });
+});
+
+describe('Testing CSRF Protection', () => {
+  const agent = chai.request.agent(app);
+  const username = `csrfuser_${Date.now()}`;
+  const password = 'csrfpass123';
+  let token;
+
+  before(() => {
+    return signUp(agent, username, password)
+      .then(() => useCsrfToken(agent))
+      .then(sessionToken => { token = sessionToken; });
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : pages carry the session\'s CSRF token', done => {
+    agent
+      .get('/settings')
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include(`<meta name="csrf-token" content="${token}"`);
+        expect(res.text).to.include('<script src="/js/csrf.js"></script>');
+        done();
+      });
+  });
+
+  it('negative : API requests without the token are rejected', done => {
+    agent
+      .post('/api/saved-locations')
+      .set('X-CSRF-Token', '')
+      .send({ location_text: 'Boulder, CO' })
+      .end((err, res) => {
+        expect(res).to.have.status(403);
+        expect(res.body.error).to.equals('Invalid CSRF token');
+        db.any(`
+          SELECT 1 FROM user_saved_locations sl JOIN users u ON u.id = sl.user_id WHERE u.username = $1
+        `, [username]).then(rows => {
+          expect(rows).to.have.lengthOf(0);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('negative : another session\'s token is rejected', done => {
+    const other = chai.request.agent(app);
+    useCsrfToken(other).then(otherToken => {
+      expect(otherToken).to.not.equal(token);
+      agent
+        .delete('/api/posts/1')
+        .set('X-CSRF-Token', otherToken)
+        .end((err, res) => {
+          expect(res).to.have.status(403);
+          other.close();
+          done();
+        });
+    }).catch(done);
+  });
+
+  it('positive : forms can send the token as a _csrf field', done => {
+    const visitor = chai.request.agent(app);
+    visitor
+      .get('/login')
+      .end((err, res) => {
+        const match = /name="_csrf" value="([^"]+)"/.exec(res.text);
+        expect(match).to.not.equal(null);
+        visitor
+          .post('/login')
+          .type('form')
+          .redirects(0)
+          .send({ _csrf: match[1], username, password })
+          .end((err, res) => {
+            expect(res).to.redirectTo('/home');
+            visitor.close();
+            done();
+          });
+      });
+  });
+
+  it('negative : forms without the token are shown again with an error', done => {
+    chai
+      .request(app)
+      .post('/login')
+      .type('form')
+      .send({ username, password })
+      .end((err, res) => {
+        expect(res).to.have.status(403);
+        expect(res.text).to.include('Your session expired. Please try again.');
+        expect(res.text).to.include('name="_csrf"');
+        done();
+      });
+  });
+});
+
+describe('Testing Request Validation', () => {
+  const agent = chai.request.agent(app);
+  const username = `validuser_${Date.now()}`;
+  const password = 'validpass123';
+  let postId;
+
+  // Runs validate() on a fake request and returns what it responded, if anything
+  function runValidate(schema, req) {
+    let response = null;
+    const res = {
+      status(code) {
+        return { json: body => { response = { status: code, body }; } };
+      }
+    };
+    validate(schema)(req, res, () => {});
+    return response;
+  }
+
+  before(done => {
+    signUp(agent, username, password).then(() => {
+      agent
+        .post('/api/posts')
+        .send({ content: 'Graupel in the foothills' })
+        .end((err, res) => {
+          postId = res.body.post.id;
+          done();
+        });
+    }, done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : validate converts values and drops blank optional fields', () => {
+    const req = { params: { id: '12' }, query: { limit: '', following: 'true', q: '  Boulder ' }, body: {} };
+    const response = runValidate({
+      params: { id: { type: 'int', required: true, min: 1 } },
+      query: {
+        limit: { type: 'int', default: 20 },
+        following: { type: 'boolean' },
+        q: { trim: true },
+        location: { trim: true }
+      }
+    }, req);
+    expect(response).to.equals(null);
+    expect(req.params.id).to.equals(12);
+    expect(req.query).to.deep.equal({ limit: 20, following: true, q: 'Boulder' });
+  });
+
+  it('negative : validate reports every invalid field', () => {
+    const response = runValidate({
+      params: { id: { type: 'int', required: true, min: 1 } },
+      body: {
+        latitude: { type: 'number', min: -90, max: 90 },
+        type: { required: true, enum: ['like', 'confirmed'] },
+        ids: { type: 'array', items: { type: 'int' } }
+      }
+    }, { params: { id: '12abc' }, body: { latitude: '91', ids: [1, 'two'] } });
+    expect(response.status).to.equals(400);
+    expect(response.body).to.deep.equal({
+      error: 'id must be an integer',
+      errors: [
+        { location: 'params', field: 'id', message: 'id must be an integer' },
+        { location: 'body', field: 'latitude', message: 'latitude must be between -90 and 90' },
+        { location: 'body', field: 'type', message: 'type is required' },
+        { location: 'body', field: 'ids', message: 'ids[1] must be an integer' }
+      ]
+    });
+  });
+
+  it('negative : validate hands invalid requests to onInvalid when given', () => {
+    let handled = null;
+    const req = { body: { identifier: ['a', 'b'] } };
+    validate({ body: { identifier: { required: true } } }, {
+      onInvalid: (request, res, errors) => { handled = { request, errors }; }
+    })(req, {}, () => { throw new Error('next should not be called'); });
+    expect(handled.request).to.equals(req);
+    expect(handled.errors).to.deep.equal([{ location: 'body', field: 'identifier', message: 'identifier must be a string' }]);
+  });
+
+  it('negative : non-numeric ids are rejected before reaching the database', done => {
+    agent
+      .put('/api/posts/abc')
+      .send({ content: 'Edited' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('Invalid post id');
+        expect(res.body.errors[0]).to.deep.equal({ location: 'params', field: 'id', message: 'Invalid post id' });
+        agent
+          .delete('/api/posts/99999999999')
+          .end((err, res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equals('Invalid post id');
+            done();
+          });
+      });
+  });
+
+  it('negative : out-of-range coordinates are rejected', done => {
+    agent
+      .get('/api/weather')
+      .query({ lat: 95, lon: -105.2633 })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('lat must be between -90 and 90');
+        agent
+          .post('/api/posts')
+          .send({ content: 'Somewhere', latitude: 40.015, longitude: -200 })
+          .end((err, res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.errors).to.deep.equal([
+              { location: 'body', field: 'longitude', message: 'longitude must be between -180 and 180' }
+            ]);
+            done();
+          });
+      });
+  });
+
+  it('negative : feed filters report the parameter at fault', done => {
+    agent
+      .get('/api/posts')
+      .query({ lat: 40.015, lon: 'east' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.errors).to.deep.equal([
+          { location: 'query', field: 'lon', message: 'lat and lon must be valid coordinates' }
+        ]);
+        agent
+          .get('/api/posts')
+          .query({ limit: 500 })
+          .end((err, res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equals('limit must be between 1 and 50');
+            done();
+          });
+      });
+  });
+
+  it('positive : PUT /api/posts/:id saves trimmed content', done => {
+    agent
+      .put(`/api/posts/${postId}`)
+      .send({ content: '  Graupel turning to snow  ' })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.post.content).to.equals('Graupel turning to snow');
+        done();
+      });
+  });
+
+  it('negative : comment bodies are checked', done => {
+    agent
+      .post(`/api/posts/${postId}/comments`)
+      .send({ content: '   ', parent_id: 'first' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.errors.map(error => error.field)).to.deep.equal(['content', 'parent_id']);
+        done();
+      });
+  });
+});
+
+describe('Testing Post Search', () => {
+  const agent = chai.request.agent(app);
+  const otherAgent = chai.request.agent(app);
+  // A made-up word no other test posts, so searches only find these posts
+  const word = `hx${Date.now().toString(36)}`;
+  const username = `searcher_${Date.now()}`;
+  const authorName = `${word}_author`;
+  const password = 'searchpass123';
+  const today = new Date().toISOString().slice(0, 10);
+  let contentPostId;
+  let locationPostId;
+  let authorPostId;
+
+  before(async () => {
+    await signUp(agent, username, password);
+    await signUp(otherAgent, authorName, password);
+    locationPostId = (await agent.post('/api/posts').send({ content: 'Clear skies all day', location: `${word} Park` })).body.post.id;
+    contentPostId = (await agent.post('/api/posts').send({ content: `Hail & ${word} snowing downtown`, location: 'Boulder, CO' })).body.post.id;
+    authorPostId = (await otherAgent.post('/api/posts').send({ content: 'Fog over the reservoir' })).body.post.id;
+  });
+
+  after(() => {
+    agent.close();
+    otherAgent.close();
+  });
+
+  it('positive : GET /api/search ranks content matches above location matches', done => {
+    agent
+      .get('/api/search')
+      .query({ q: word })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        const ids = res.body.results.map(result => result.id);
+        expect(ids.indexOf(contentPostId)).to.be.below(ids.indexOf(locationPostId));
+        expect(res.body.results[0].rank).to.be.a('number');
+        done();
+      });
+  });
+
+  it('positive : GET /api/search highlights escaped snippets', done => {
+    agent
+      .get('/api/search')
+      .query({ q: `snow ${word}`, author: username })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.results).to.have.length(1);
+        const [result] = res.body.results;
+        expect(result.id).to.equals(contentPostId);
+        expect(result.highlight.content).to.equals(`Hail &amp; <mark>${word}</mark> <mark>snowing</mark> downtown`);
+        expect(result.highlight.location).to.equals('Boulder, CO');
+        done();
+      });
+  });
+
+  it('positive : GET /api/search matches author names', done => {
+    agent
+      .get('/api/search')
+      .query({ q: authorName })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        const result = res.body.results.find(post => post.id === authorPostId);
+        expect(result.username).to.equals(authorName);
+        expect(result.author_matched).to.equals(true);
+        done();
+      });
+  });
+
+  it('positive : GET /api/search filters by author and date range', done => {
+    agent
+      .get('/api/search')
+      .query({ q: word, author: authorName })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.results.map(result => result.id)).to.deep.equal([authorPostId]);
+        agent
+          .get('/api/search')
+          .query({ q: word, from: today, to: today, tz: 'UTC' })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body.results).to.have.length(3);
+            agent
+              .get('/api/search')
+              .query({ q: word, from: '2000-01-01', to: '2000-12-31' })
+              .end((err, res) => {
+                expect(res).to.have.status(200);
+                expect(res.body.results).to.deep.equal([]);
+                done();
+              });
+          });
+      });
+  });
+
+  it('positive : GET /api/search pages through results with a cursor', done => {
+    agent
+      .get('/api/search')
+      .query({ q: word, limit: 2 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.results).to.have.length(2);
+        expect(res.body.next_cursor).to.be.a('string');
+        const firstPage = res.body.results.map(result => result.id);
+        agent
+          .get('/api/search')
+          .query({ q: word, limit: 2, cursor: res.body.next_cursor })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body.results).to.have.length(1);
+            expect(firstPage).to.not.include(res.body.results[0].id);
+            expect(res.body.next_cursor).to.equals(null);
+            done();
+          });
+      });
+  });
+
+  it('negative : GET /api/search checks its parameters', done => {
+    agent
+      .get('/api/search')
+      .query({ q: ' ', from: '2024-02-30', tz: 'Mars/Olympus' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.errors).to.deep.equal([
+          { location: 'query', field: 'q', message: 'q is required' },
+          { location: 'query', field: 'from', message: 'from must be a date (YYYY-MM-DD)' },
+          { location: 'query', field: 'tz', message: 'Unknown timezone' }
+        ]);
+        agent
+          .get('/api/search')
+          .query({ q: word, from: '2024-03-02', to: '2024-03-01' })
+          .end((err, res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equals('from must not be after to');
+            agent
+              .get('/api/search')
+              .query({ q: word, cursor: 'not-a-cursor' })
+              .end((err, res) => {
+                expect(res).to.have.status(400);
+                expect(res.body.error).to.equals('Invalid cursor');
+                done();
+              });
+          });
+      });
+  });
+
+  it('negative : GET /api/search requires a session', done => {
+    chai
+      .request(app)
+      .get('/api/search')
+      .query({ q: word })
+      .end((err, res) => {
+        expect(res).to.have.status(401);
+        done();
+      });
+  });
+
+  it('positive : GET /search renders the results page with the search filled in', done => {
+    agent
+      .get('/search')
+      .query({ q: word })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include('id="search-results"');
+        expect(res.text).to.include(`value="${word}"`);
+        done();
+      });
+  });
+});
+
+describe('Testing Hashtags', () => {
+  const agent = chai.request.agent(app);
+  const username = `tagger_${Date.now()}`;
+  const password = 'tagpass123';
+  // Tags no other test uses, so counts only include these posts
+  const suffix = Date.now().toString(36);
+  const busyTag = `snowday${suffix}`;
+  const quietTag = `hail${suffix}`;
+  const localTag = `fog${suffix}`;
+  const boulder = { latitude: 40.015, longitude: -105.2705 };
+  let taggedPostId;
+
+  before(async () => {
+    await signUp(agent, username, password);
+    taggedPostId = (await agent.post('/api/posts').send({ content: `Schools closed! #SnowDay${suffix} #${quietTag} #snowday${suffix}` })).body.post.id;
+    await agent.post('/api/posts').send({ content: `Still going #${busyTag}` });
+    await agent.post('/api/posts').send({ content: `Thick #${localTag} this morning`, location: 'Boulder, CO', ...boulder });
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : hashtags are parsed case-insensitively and only once', () => {
+    expect(hashtags.parseHashtags('#SnowDay and #snowday, a#b, &#39; #2024 #Café_run')).to.deep.equal(['snowday', 'café_run']);
+    expect(hashtags.normalizeTag('#Hail')).to.equals('hail');
+    expect(hashtags.normalizeTag('x'.repeat(51))).to.equals(null);
+  });
+
+  it('positive : POST /api/posts tags the post with its hashtags', done => {
+    agent
+      .post('/api/posts')
+      .send({ content: `First flakes #${busyTag}!` })
+      .end((err, res) => {
+        expect(res).to.have.status(201);
+        expect(res.body.post.tags).to.deep.equal([busyTag]);
+        done();
+      });
+  });
+
+  it('positive : PUT /api/posts/:id replaces the post\'s tags', done => {
+    agent
+      .put(`/api/posts/${taggedPostId}`)
+      .send({ content: `Schools closed! #${busyTag} #Ice${suffix}` })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.post.tags).to.deep.equal([`ice${suffix}`, busyTag]);
+        done();
+      });
+  });
+
+  it('positive : GET /api/posts filters by tag', done => {
+    agent
+      .get('/api/posts')
+      .query({ tag: `#SnowDay${suffix}` })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.posts).to.have.length(3);
+        res.body.posts.forEach(post => expect(post.tags).to.include(busyTag));
+        done();
+      });
+  });
+
+  it('negative : GET /api/posts rejects an invalid tag', done => {
+    agent
+      .get('/api/posts')
+      .query({ tag: 'not a tag' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('Invalid tag');
+        done();
+      });
+  });
+
+  it('positive : GET /api/trending ranks recent tags by how often they are used', done => {
+    agent
+      .get('/api/trending')
+      .query({ hours: 1, limit: 20 })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.region).to.equals(null);
+        const names = res.body.tags.map(tag => tag.tag);
+        const busy = res.body.tags.find(tag => tag.tag === busyTag);
+        expect(busy).to.include({ post_count: 3, author_count: 1 });
+        expect(names).to.not.include(quietTag);
+        expect(names.indexOf(busyTag)).to.be.below(names.indexOf(localTag));
+        done();
+      });
+  });
+
+  it('positive : GET /api/trending can be limited to a region', done => {
+    agent
+      .get('/api/trending')
+      .query({ hours: 1, limit: 20, lat: boulder.latitude, lon: boulder.longitude })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.region).to.deep.equal({ lat: boulder.latitude, lon: boulder.longitude, radius_km: 50 });
+        expect(res.body.tags.map(tag => tag.tag)).to.include(localTag).and.not.include(busyTag);
+        agent
+          .get('/api/trending')
+          .query({ hours: 1, lat: 25.7617, lon: -80.1918, radius_km: 100 })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body.tags.map(tag => tag.tag)).to.not.include(localTag);
+            done();
+          });
+      });
+  });
+
+  it('negative : GET /api/trending checks its parameters', done => {
+    agent
+      .get('/api/trending')
+      .query({ hours: 0 })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('hours must be between 1 and 168');
+        agent
+          .get('/api/trending')
+          .query({ lon: -105.2705 })
+          .end((err, res) => {
+            expect(res).to.have.status(400);
+            expect(res.body.error).to.equals('lat and lon must be valid coordinates');
+            done();
+          });
+      });
+  });
+
+  it('positive : GET /tags/:tag renders the tag\'s feed', done => {
+    agent
+      .get(`/tags/SnowDay${suffix}`)
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include(`data-feed-tag="${busyTag}"`);
+        agent
+          .get('/tags/%23%23')
+          .end((err, res) => {
+            expect(res).to.have.status(404);
+            expect(res.text).to.include('That is not a valid hashtag.');
+            done();
+          });
+      });
+  });
+});
+
+describe('Testing Moderation', () => {
+  const stamp = Date.now();
+  const password = 'modpass123';
+  const names = {
+    author: `modauthor_${stamp}`,
+    reporter: `modreporter_${stamp}`,
+    moderator: `modmoderator_${stamp}`,
+    admin: `modadmin_${stamp}`
+  };
+  const agents = {};
+  const ids = {};
+  let postId;
+
+  before(async () => {
+    for (const [key, username] of Object.entries(names)) {
+      agents[key] = chai.request.agent(app);
+      await signUp(agents[key], username, password);
+      ids[key] = (await db.one('SELECT id FROM users WHERE username = $1', [username])).id;
+    }
+    await db.none("UPDATE users SET role = 'moderator' WHERE id = $1", [ids.moderator]);
+    await db.none("UPDATE users SET role = 'admin' WHERE id = $1", [ids.admin]);
+    postId = (await agents.author.post('/api/posts').send({ content: 'Sunny and 75 (it is snowing)' })).body.post.id;
+  });
+
+  after(() => {
+    Object.values(agents).forEach(agent => agent.close());
+  });
+
+  // The audit log entries about a post, newest first
+  async function actionsFor(post) {
+    const res = await agents.moderator.get('/api/moderation/actions').query({ post_id: post });
+    return res.body.actions;
+  }
+
+  it('positive : POST /api/posts/:id/reports reports a post', async () => {
+    const res = await agents.reporter.post(`/api/posts/${postId}/reports`).send({ reason: 'misleading', details: '  Clearly snowing  ' });
+    expect(res).to.have.status(201);
+    expect(res.body.report).to.include({ post_id: postId, reason: 'misleading', details: 'Clearly snowing', status: 'open' });
+  });
+
+  it('negative : POST /api/posts/:id/reports rejects repeat, own and invalid reports', async () => {
+    let res = await agents.reporter.post(`/api/posts/${postId}/reports`).send({ reason: 'spam' });
+    expect(res).to.have.status(409);
+    expect(res.body.error).to.equals('You have already reported this post');
+    res = await agents.author.post(`/api/posts/${postId}/reports`).send({ reason: 'spam' });
+    expect(res).to.have.status(400);
+    expect(res.body.error).to.equals('You cannot report your own post');
+    res = await agents.reporter.post(`/api/posts/${postId}/reports`).send({ reason: 'boring' });
+    expect(res).to.have.status(400);
+    expect(res.body.error).to.equals('reason must be one of spam, misleading, abusive, other');
+  });
+
+  it('negative : moderation is only open to moderators', async () => {
+    let res = await agents.reporter.get('/api/moderation/reports');
+    expect(res).to.have.status(403);
+    expect(res.body.error).to.equals('Moderator access required');
+    res = await agents.reporter.get('/moderation');
+    expect(res).to.have.status(403);
+    expect(res.text).to.include('Moderator access required.');
+    res = await agents.reporter.post(`/api/moderation/posts/${postId}/hide`).send({});
+    expect(res).to.have.status(403);
+  });
+
+  it('positive : GET /api/moderation/reports lists reported posts with their reports', async () => {
+    const res = await agents.moderator.get('/api/moderation/reports');
+    expect(res).to.have.status(200);
+    const post = res.body.posts.find(row => row.id === postId);
+    expect(post).to.include({ username: names.author, report_count: 1, hidden_at: null });
+    expect(post.reports[0]).to.include({ reason: 'misleading', reporter: names.reporter, details: 'Clearly snowing' });
+    const page = await agents.moderator.get('/moderation');
+    expect(page).to.have.status(200);
+    expect(page.text).to.include('href="/moderation"');
+  });
+
+  it('positive : hiding a post resolves its reports and hides it from everyone but its author', async () => {
+    let res = await agents.moderator.post(`/api/moderation/posts/${postId}/hide`).send({ reason: 'Contradicts the conditions' });
+    expect(res).to.have.status(200);
+    expect(res.body.resolved_reports).to.equals(1);
+
+    res = await agents.reporter.get('/api/posts').query({ user_id: ids.author });
+    expect(res.body.posts).to.deep.equal([]);
+    res = await agents.reporter.get(`/api/posts/${postId}/comments`);
+    expect(res).to.have.status(404);
+    res = await agents.author.get('/api/posts').query({ user_id: ids.author });
+    expect(res.body.posts[0].id).to.equals(postId);
+    expect(res.body.posts[0].hidden_at).to.be.a('string');
+
+    res = await agents.moderator.get('/api/moderation/reports');
+    expect(res.body.posts.map(row => row.id)).to.not.include(postId);
+    res = await agents.moderator.get('/api/moderation/hidden-posts');
+    expect(res.body.posts.find(row => row.id === postId).hidden_by_username).to.equals(names.moderator);
+
+    const [entry] = await actionsFor(postId);
+    expect(entry).to.include({ action: 'hide_post', moderator_username: names.moderator, reason: 'Contradicts the conditions', user_id: ids.author });
+  });
+
+  it('negative : hiding a hidden post or restoring a visible one conflicts', async () => {
+    let res = await agents.moderator.post(`/api/moderation/posts/${postId}/hide`).send({});
+    expect(res).to.have.status(409);
+    res = await agents.moderator.post(`/api/moderation/posts/${postId}/restore`).send({});
+    expect(res).to.have.status(200);
+    res = await agents.moderator.post(`/api/moderation/posts/${postId}/restore`).send({});
+    expect(res).to.have.status(409);
+    expect(res.body.error).to.equals('Post is not hidden');
+    res = await agents.reporter.get('/api/posts').query({ user_id: ids.author });
+    expect(res.body.posts.map(post => post.id)).to.deep.equal([postId]);
+  });
+
+  it('positive : dismissing reports closes them without touching the post', async () => {
+    await agents.reporter.post(`/api/posts/${postId}/reports`).send({ reason: 'spam' });
+    let res = await agents.moderator.post(`/api/moderation/posts/${postId}/dismiss`).send({ reason: 'Not spam' });
+    expect(res).to.have.status(200);
+    expect(res.body.dismissed_reports).to.equals(1);
+    res = await agents.moderator.get('/api/moderation/reports').query({ status: 'dismissed' });
+    expect(res.body.posts.find(row => row.id === postId).reports[0].reason).to.equals('spam');
+    res = await agents.moderator.post(`/api/moderation/posts/${postId}/dismiss`).send({});
+    expect(res).to.have.status(404);
+  });
+
+  it('positive : moderators can delete any post, keeping its text in the audit log', async () => {
+    const res = await agents.moderator.delete(`/api/moderation/posts/${postId}`).send({ reason: 'Repeatedly misleading' });
+    expect(res).to.have.status(200);
+    const check = await agents.author.get(`/api/posts/${postId}/comments`);
+    expect(check).to.have.status(404);
+    const [entry] = await actionsFor(postId);
+    expect(entry.action).to.equals('delete_post');
+    expect(entry.details).to.include({ username: names.author, content: 'Sunny and 75 (it is snowing)', report_count: 2 });
+  });
+
+  it('positive : suspending a user signs them out and blocks sign-in until lifted', async () => {
+    let res = await agents.moderator.post(`/api/moderation/users/${ids.author}/suspend`).send({ reason: 'Misleading reports' });
+    expect(res).to.have.status(200);
+    expect(res.body.sessions_revoked).to.be.at.least(1);
+
+    res = await agents.author.get('/api/preferences');
+    expect(res).to.have.status(401);
+    const client = chai.request.agent(app);
+    res = await logIn(client, names.author, password);
+    expect(res).to.have.status(403);
+    expect(res.text).to.include('This account has been suspended.');
+
+    res = await agents.moderator.post(`/api/moderation/users/${ids.author}/suspend`).send({ reason: 'Again' });
+    expect(res).to.have.status(409);
+    res = await agents.moderator.post(`/api/moderation/users/${ids.author}/unsuspend`).send({});
+    expect(res).to.have.status(200);
+    res = await logIn(client, names.author, password);
+    expect(res).to.redirectTo(/\/home$/);
+    client.close();
+  });
+
+  it('negative : moderators can only act on users below their role', async () => {
+    let res = await agents.moderator.post(`/api/moderation/users/${ids.admin}/suspend`).send({ reason: 'Nope' });
+    expect(res).to.have.status(403);
+    expect(res.body.error).to.equals('You can only moderate users with a lower role than yours');
+    res = await agents.moderator.post(`/api/moderation/users/${ids.moderator}/suspend`).send({ reason: 'Nope' });
+    expect(res).to.have.status(403);
+    res = await agents.moderator.post(`/api/moderation/users/${ids.reporter}/suspend`).send({ reason: ' ' });
+    expect(res).to.have.status(400);
+    expect(res.body.error).to.equals('reason is required');
+  });
+
+  it('positive : admins change roles, and the change is audited', async () => {
+    let res = await agents.moderator.put(`/api/admin/users/${ids.reporter}/role`).send({ role: 'moderator' });
+    expect(res).to.have.status(403);
+    expect(res.body.error).to.equals('Admin access required');
+    res = await agents.admin.put(`/api/admin/users/${ids.admin}/role`).send({ role: 'user' });
+    expect(res).to.have.status(403);
+
+    res = await agents.admin.put(`/api/admin/users/${ids.reporter}/role`).send({ role: 'moderator' });
+    expect(res).to.have.status(200);
+    expect(res.body.user).to.deep.equal({ id: ids.reporter, username: names.reporter, role: 'moderator' });
+    res = await agents.reporter.get('/api/moderation/reports');
+    expect(res).to.have.status(200);
+
+    res = await agents.admin.get('/api/moderation/actions').query({ user_id: ids.reporter });
+    expect(res.body.actions[0]).to.include({ action: 'change_role', moderator_username: names.admin });
+    expect(res.body.actions[0].details).to.deep.equal({ username: names.reporter, from: 'user', to: 'moderator' });
+  });
+});
+
+describe('Testing Notifications', () => {
+  const stamp = Date.now();
+  const password = 'notifpass123';
+  const names = {
+    author: `notifauthor_${stamp}`,
+    fan: `notiffan_${stamp}`,
+    neighbor: `notifneighbor_${stamp}`
+  };
+  const agents = {};
+  const ids = {};
+  let postId;
+
+  before(async () => {
+    for (const [key, username] of Object.entries(names)) {
+      agents[key] = chai.request.agent(app);
+      await signUp(agents[key], username, password);
+      ids[key] = (await db.one('SELECT id FROM users WHERE username = $1', [username])).id;
+    }
+    postId = (await agents.author.post('/api/posts').send({ content: 'Hail the size of peas' })).body.post.id;
+  });
+
+  after(() => {
+    Object.values(agents).forEach(agent => agent.close());
+  });
+
+  async function notificationsOf(key, query = {}) {
+    const res = await agents[key].get('/api/notifications').query(query);
+    expect(res).to.have.status(200);
+    return res.body;
+  }
+
+  it('positive : commenting notifies the post author, and replying the comment author', async () => {
+    const comment = await agents.fan.post(`/api/posts/${postId}/comments`).send({ content: 'Same here!' });
+    await agents.author.post(`/api/posts/${postId}/comments`).send({ content: 'Stay safe', parent_id: comment.body.comment.id });
+
+    let body = await notificationsOf('author');
+    expect(body.notifications).to.have.lengthOf(1);
+    expect(body.notifications[0]).to.include({
+      type: 'post_comment', post_id: postId, actor_username: names.fan,
+      message: `${names.fan} commented on your post`, link: '/profile', read: false
+    });
+    expect(body.unread_count).to.equals(1);
+
+    body = await notificationsOf('fan');
+    expect(body.notifications[0]).to.include({
+      type: 'comment_reply', message: `${names.author} replied to your comment`, link: `/users/${names.author}`
+    });
+  });
+
+  it('positive : following notifies the followed user once', async () => {
+    await agents.fan.post(`/api/users/${names.neighbor}/follow`);
+    await agents.fan.delete(`/api/users/${names.neighbor}/follow`);
+    await agents.fan.post(`/api/users/${names.neighbor}/follow`);
+    const body = await notificationsOf('neighbor');
+    const follows = body.notifications.filter(n => n.type === 'new_follower');
+    expect(follows).to.have.lengthOf(1);
+    expect(follows[0]).to.include({ message: `${names.fan} started following you`, link: `/users/${names.fan}` });
+  });
+
+  it('positive : a post near a saved location notifies the user who saved it', async () => {
+    await agents.neighbor.post('/api/saved-locations').send({ location_text: 'Boulder' });
+    const saved = await db.one('SELECT latitude, longitude FROM user_saved_locations WHERE user_id = $1', [ids.neighbor]);
+    expect(Number(saved.latitude)).to.be.closeTo(40.01, 0.01);
+
+    const near = await agents.author.post('/api/posts').send({ content: 'Downtown flooding', latitude: 40.02, longitude: -105.28 });
+    await agents.author.post('/api/posts').send({ content: 'Harbor fog', latitude: 42.35, longitude: -71.06 });
+    await agents.neighbor.post('/api/posts').send({ content: 'My own post', latitude: 40.02, longitude: -105.28 });
+
+    const nearby = (await notificationsOf('neighbor')).notifications.filter(n => n.type === 'nearby_post');
+    expect(nearby).to.have.lengthOf(1);
+    expect(nearby[0]).to.include({ post_id: near.body.post.id, message: `${names.author} posted near Boulder` });
+
+    // Notifications about posts hidden by a moderator go away with the post
+    await db.none('UPDATE posts SET hidden_at = NOW() WHERE id = $1', [near.body.post.id]);
+    const after = (await notificationsOf('neighbor')).notifications.filter(n => n.type === 'nearby_post');
+    expect(after).to.have.lengthOf(0);
+    await db.none('UPDATE posts SET hidden_at = NULL WHERE id = $1', [near.body.post.id]);
+  });
+
+  it('positive : forecast checks notify of threshold crossings and new weather alerts', async () => {
+    await agents.neighbor.put('/api/preferences').send({ temperature_unit: 'C' });
+    // The fixture forecast goes down to 28°F; pretend the last check saw no frost
+    await db.none(
+      'UPDATE user_saved_locations SET forecast_summary = $2 WHERE user_id = $1',
+      [ids.neighbor, { min_temperature: 40, max_temperature: 60, max_precipitation: 10 }]
+    );
+    await notificationService.checkSavedLocations(db, weatherService);
+
+    let body = await notificationsOf('neighbor');
+    const forecast = body.notifications.filter(n => n.type === 'forecast_change');
+    expect(forecast).to.have.lengthOf(1);
+    expect(forecast[0].data).to.include({ kind: 'freezing', value: 28, location: 'Boulder' });
+    expect(forecast[0].message).to.equals('Freezing temperatures expected in Boulder, with a low of -2°C');
+    const alerts = body.notifications.filter(n => n.type === 'weather_alert');
+    expect(alerts.map(n => n.message)).to.have.members(['Winter Storm Warning for Boulder', 'Wind Advisory for Boulder']);
+
+    // The forecast is unchanged and the alerts were already notified
+    await notificationService.checkSavedLocations(db, weatherService);
+    body = await notificationsOf('neighbor');
+    expect(body.notifications.filter(n => ['forecast_change', 'weather_alert'].includes(n.type))).to.have.lengthOf(3);
+  });
+
+  it('positive : saved locations the geocoder can\'t find are retried later, not every check', async () => {
+    const { id: lostId } = await db.one(
+      "INSERT INTO user_saved_locations (user_id, location_text) VALUES ($1, 'Atlantis') RETURNING id",
+      [ids.fan]
+    );
+    const located = [];
+    const locate = async text => {
+      located.push(text);
+      return text === 'Nederland' ? { latitude: 39.96, longitude: -105.51 } : null;
+    };
+    await notificationService.geocodeSavedLocations(db, locate);
+    expect(located).to.include('Atlantis');
+    const lost = await db.one('SELECT latitude, geocode_failed_at FROM user_saved_locations WHERE id = $1', [lostId]);
+    expect(lost.latitude).to.equals(null);
+    expect(lost.geocode_failed_at).to.not.equal(null);
+
+    // A newer location is geocoded without trying the failed one again
+    const { id: newId } = await db.one(
+      "INSERT INTO user_saved_locations (user_id, location_text) VALUES ($1, 'Nederland') RETURNING id",
+      [ids.fan]
+    );
+    located.length = 0;
+    await notificationService.geocodeSavedLocations(db, locate);
+    expect(located).to.include('Nederland').and.not.include('Atlantis');
+    const found = await db.one('SELECT latitude FROM user_saved_locations WHERE id = $1', [newId]);
+    expect(Number(found.latitude)).to.equals(39.96);
+  });
+
+  it('positive : notifications can be marked read one at a time or all at once', async () => {
+    let body = await notificationsOf('neighbor', { unread: true });
+    const unread = body.unread_count;
+    expect(unread).to.be.greaterThan(1);
+
+    let res = await agents.neighbor.put(`/api/notifications/${body.notifications[0].id}`).send({ read: true });
+    expect(res).to.have.status(200);
+    expect(res.body.notification.read).to.equals(true);
+    expect(res.body.unread_count).to.equals(unread - 1);
+    res = await agents.neighbor.get('/api/notifications/unread-count');
+    expect(res.body.unread_count).to.equals(unread - 1);
+
+    res = await agents.neighbor.post('/api/notifications/read-all');
+    expect(res).to.have.status(200);
+    expect(res.body.updated).to.equals(unread - 1);
+    body = await notificationsOf('neighbor', { unread: true });
+    expect(body.notifications).to.have.lengthOf(0);
+    expect(body.unread_count).to.equals(0);
+  });
+
+  it('positive : GET /api/notifications pages through notifications newest first', async () => {
+    const all = (await notificationsOf('neighbor')).notifications;
+    const first = await notificationsOf('neighbor', { limit: 2 });
+    expect(first.notifications.map(n => n.id)).to.deep.equal(all.slice(0, 2).map(n => n.id));
+    const second = await notificationsOf('neighbor', { limit: 2, cursor: first.next_cursor });
+    expect(second.notifications.map(n => n.id)).to.deep.equal(all.slice(2, 4).map(n => n.id));
+  });
+
+  it('negative : notifications are private and validated', async () => {
+    const [notification] = (await notificationsOf('neighbor')).notifications;
+    let res = await agents.fan.put(`/api/notifications/${notification.id}`).send({ read: false });
+    expect(res).to.have.status(404);
+    expect(res.body.error).to.equals('Notification not found');
+    res = await agents.neighbor.put(`/api/notifications/${notification.id}`).send({});
+    expect(res).to.have.status(400);
+    res = await agents.neighbor.get('/api/notifications').query({ cursor: 'nope' });
+    expect(res).to.have.status(400);
+    expect(res.body.error).to.equals('Invalid cursor');
+    expect(res.body.errors).to.deep.equal([{ location: 'query', field: 'cursor', message: 'Invalid cursor' }]);
+    res = await chai.request(app).get('/api/notifications');
+    expect(res).to.have.status(401);
+  });
+
+  it('positive : pages show the notification bell to signed-in users', async () => {
+    const res = await agents.fan.get('/home');
+    expect(res).to.have.status(200);
+    expect(res.text).to.include('id="notifications-menu"');
+  });
+});
+
+describe('Testing Comments API', () => {
+  const owner = chai.request.agent(app);
+  const other = chai.request.agent(app);
+  const password = 'commentpass123';
+  let postId;
+  let commentId;
+
+  const login = (agent, username, done) => {
+    signUp(agent, username, password).then(() => done(), done);
+  };
+
+  before(done => {
+    login(owner, `commentowner_${Date.now()}`, () => {
+      login(other, `commentother_${Date.now()}`, () => {
+        owner
+          .post('/api/posts')
+          .send({ content: 'Is the canyon road icy?' })
+          .end((err, res) => {
+            postId = res.body.post.id;
+            done();
+          });
+      });
+    });
+  });
+
+  after(() => {
+    owner.close();
+    other.close();
+  });
+
+  it('positive : /api/posts/:id/comments creates a comment and a nested reply', done => {
+    other
+      .post(`/api/posts/${postId}/comments`)
+      .send({ content: 'Yes, chains required past mile 10' })
+      .end((err, res) => {
+        expect(res).to.have.status(201);
+        commentId = res.body.comment.id;
+        owner
+          .post(`/api/posts/${postId}/comments`)
+          .send({ content: 'Thanks!', parent_id: commentId })
+          .end((err, res) => {
+            expect(res).to.have.status(201);
+            owner
+              .get(`/api/posts/${postId}/comments`)
+              .end((err, res) => {
+                expect(res).to.have.status(200);
+                expect(res.body).to.have.lengthOf(1);
+                expect(res.body[0].can_edit).to.equals(false);
+                expect(res.body[0].replies).to.have.lengthOf(1);
+                expect(res.body[0].replies[0].content).to.equals('Thanks!');
+                done();
+              });
+          });
+      });
+  });
+
+  it('negative : /api/posts/:id/comments/:commentId cannot be edited by another user', done => {
+    owner
+      .put(`/api/posts/${postId}/comments/${commentId}`)
+      .send({ content: 'Hijacked' })
+      .end((err, res) => {
+        expect(res).to.have.status(403);
+        expect(res.body.error).to.equals('You can only edit your own comments');
+        done();
+      });
+  });
+
+  it('positive : /api/posts/:id/comments/:commentId can be deleted by its owner', done => {
+    other
+      .delete(`/api/posts/${postId}/comments/${commentId}`)
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.success).to.equals(true);
+        done();
+      });
+  });
+});
+
+describe('Testing Reactions API', () => {
+  const agent = chai.request.agent(app);
+  const username = `reactionuser_${Date.now()}`;
+  const password = 'reactionpass123';
+  let postId;
+
+  before(done => {
+    signUp(agent, username, password).then(() => {
+      agent
+        .post('/api/posts')
+        .send({ content: 'Hail on Broadway' })
+        .end((err, res) => {
+          postId = res.body.post.id;
+          done();
+        });
+    }, done);
+  });
+
+  after(() => {
+    agent.close();
+  });
+
+  it('positive : /api/posts/:id/reactions toggles a reaction on and off', done => {
+    agent
+      .post(`/api/posts/${postId}/reactions`)
+      .send({ type: 'confirmed' })
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.reactions.confirmed).to.deep.equal({ count: 1, reacted: true });
+        agent
+          .get('/api/posts')
+          .end((err, res) => {
+            const post = res.body.posts.find(p => p.id === postId);
+            expect(post.reactions.confirmed).to.deep.equal({ count: 1, reacted: true });
+            expect(post.reactions.like).to.deep.equal({ count: 0, reacted: false });
+            agent
+              .post(`/api/posts/${postId}/reactions`)
+              .send({ type: 'confirmed' })
+              .end((err, res) => {
+                expect(res.body.reactions.confirmed).to.deep.equal({ count: 0, reacted: false });
+                done();
+              });
+          });
+      });
+  });
+
+  it('negative : /api/posts/:id/reactions rejects unknown reaction types', done => {
+    agent
+      .post(`/api/posts/${postId}/reactions`)
+      .send({ type: 'angry' })
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        done();
+      });
+  });
+});
+
+describe('Testing Follows API', () => {
+  const follower = chai.request.agent(app);
+  const author = chai.request.agent(app);
+  const password = 'followpass123';
+  const followerName = `follower_${Date.now()}`;
+  const authorName = `author_${Date.now()}`;
+  let postId;
+
+  const login = (agent, username, done) => {
+    signUp(agent, username, password).then(() => done(), done);
+  };
+
+  before(done => {
+    login(follower, followerName, () => {
+      login(author, authorName, () => {
+        author
+          .post('/api/posts')
+          .send({ content: 'Fog rolling over the Flatirons' })
+          .end((err, res) => {
+            postId = res.body.post.id;
+            done();
+          });
+      });
+    });
+  });
+
+  after(() => {
+    follower.close();
+    author.close();
+  });
+
+  it('positive : /api/users/:username/follow adds the author to the following feed', done => {
+    follower
+      .post(`/api/users/${authorName}/follow`)
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.body.user.is_following).to.equals(true);
+        expect(res.body.user.follower_count).to.equals(1);
+        expect(res.body.user).to.not.have.property('password');
+        follower
+          .get('/api/posts')
+          .query({ following: 'true' })
+          .end((err, res) => {
+            expect(res).to.have.status(200);
+            expect(res.body.posts.map(post => post.id)).to.include(postId);
+            expect(res.body.posts.every(post => post.username === authorName)).to.equals(true);
+            done();
+          });
+      });
+  });
+
+  it('positive : /users/:username renders the public profile page', done => {
+    follower
+      .get(`/users/${authorName}`)
+      .end((err, res) => {
+        expect(res).to.have.status(200);
+        expect(res.text).to.include(authorName);
+        done();
+      });
+  });
+
+  it('negative : /api/users/:username/follow cannot follow yourself', done => {
+    follower
+      .post(`/api/users/${followerName}/follow`)
+      .end((err, res) => {
+        expect(res).to.have.status(400);
+        expect(res.body.error).to.equals('You cannot follow yourself');
+        done();
+      });
+  });
+
+  it('negative : /users/:username for an unknown user', done => {
+    follower
+      .get('/users/no_such_user_exists')
+      .end((err, res) => {
+        expect(res).to.have.status(404);
+        done();
+      });
+  });
+});
+
+describe('Testing Migrations', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'we-ather-migrations-'));
+
+  before(() => {
+    fs.writeFileSync(path.join(dir, '900_migration_test.up.sql'), 'CREATE TABLE migration_test (id SERIAL PRIMARY KEY);');
+    fs.writeFileSync(path.join(dir, '900_migration_test.down.sql'), 'DROP TABLE migration_test;');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('positive : every migration has a unique version and both directions', () => {
+    const loaded = migrations.loadMigrations();
+    expect(loaded.length).to.be.above(0);
+    expect(new Set(loaded.map(m => m.version)).size).to.equals(loaded.length);
+    loaded.forEach(m => {
+      expect(m.up).to.be.a('string');
+      expect(m.down).to.be.a('string');
+    });
+  });
+
+  it('positive : the test database has no pending migrations', () => {
+    return migrations.assertNoPendingMigrations(db);
+  });
+
+  it('positive : migrateUp and migrateDown apply and roll back a migration', async () => {
+    const applied = await migrations.migrateUp(db, { dir });
+    expect(applied.map(m => m.version)).to.deep.equal(['900']);
+    expect((await db.one("SELECT to_regclass('migration_test') AS name")).name).to.equals('migration_test');
+
+    const rolledBack = await migrations.migrateDown(db, { dir, steps: 1 });
+    expect(rolledBack.map(m => m.version)).to.deep.equal(['900']);
+    expect((await db.one("SELECT to_regclass('migration_test') AS name")).name).to.equal(null);
+    expect(await db.oneOrNone("SELECT version FROM schema_migrations WHERE version = '900'")).to.equal(null);
+  });
+
+  it('negative : assertNoPendingMigrations rejects an outdated database', async () => {
+    try {
+      await migrations.assertNoPendingMigrations(db, dir);
+      assert.fail('Expected pending migrations to be reported');
+    } catch (error) {
+      expect(error.code).to.equals('PENDING_MIGRATIONS');
+      expect(error.message).to.include('900_migration_test');
+    }
+  });
+});
+
+describe('Testing Forecast Cache', () => {
+  it('positive : concurrent requests for the same key share one fetch', async () => {
+    const cache = createCache();
+    let calls = 0;
+    const fetcher = async () => {
+      calls++;
+      return { temperature: 50 };
+    };
+
+    const [first, second] = await Promise.all([
+      cache.wrap('grid', 60000, fetcher),
+      cache.wrap('grid', 60000, fetcher)
+    ]);
+    const third = await cache.wrap('grid', 60000, fetcher);
+
+    expect(calls).to.equals(1);
+    expect(first.value).to.equals(second.value);
+    expect(third.hit).to.equals(true);
+  });
+
+  it('negative : expired and failed fetches are not served from the cache', async () => {
+    const cache = createCache();
+    let calls = 0;
+
+    await cache.wrap('grid', 0, async () => ++calls);
+    await cache.wrap('grid', 60000, async () => ++calls);
+    expect(calls).to.equals(2);
+
+    try {
+      await cache.wrap('broken', 60000, async () => {
+        throw new Error('upstream down');
+      });
+    } catch (error) {
+      expect(error.message).to.equals('upstream down');
+    }
+    expect(cache.get('broken')).to.equals(null);
+  });
+});